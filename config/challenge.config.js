@@ -175,7 +175,7 @@ const ChallengeConfig = {
     },
 
     // ===== ACTIONS =====
-    // Labels for the two main actions
+    // Labels for the rating actions
     actions: {
         positive: {
             label: "Seen",
@@ -189,6 +189,12 @@ const ChallengeConfig = {
             color: "#ff0055",
             swipeIndicator: "NOPE",
         },
+        watchlist: {
+            label: "Want to Watch",
+            pastTense: "on watchlist",
+            color: "#ffb800",
+            swipeIndicator: "WANT",
+        },
     },
 
     // ===== STORAGE =====
@@ -199,6 +205,11 @@ const ChallengeConfig = {
         debounceMs: 500,
         // Maximum undo history size
         maxHistorySize: 100,
+        // Automatic restore points (before reset/import, daily, and every N ratings)
+        restorePoints: {
+            max: 10,
+            everyRatings: 100,
+        },
     },
 
     // ===== SHARING =====
@@ -206,6 +217,10 @@ const ChallengeConfig = {
         hashtag: "#MovieChallenge",
         // Will be auto-detected from window.location if not set
         url: null,
+        // Codes too long for one QR code are split into parts of this many characters
+        qrPartSize: 600,
+        // How long each part of a multi-part QR code is shown (ms)
+        qrPartInterval: 900,
     },
 
     // ===== UI SETTINGS =====
@@ -218,6 +233,8 @@ const ChallengeConfig = {
         swipeThreshold: 100,
         // Card rotation factor during drag
         rotationFactor: 0.1,
+        // Ratings before a "Not sure" card comes back (it also returns at the end of its era)
+        deferDistance: 20,
     },
 };
 
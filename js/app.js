@@ -21,29 +21,132 @@
         decadeBadge: document.getElementById('decadeBadge'),
         seenBtn: document.getElementById('seenBtn'),
         skipBtn: document.getElementById('skipBtn'),
+        watchlistBtn: document.getElementById('watchlistBtn'),
+        deferBtn: document.getElementById('deferBtn'),
         undoBtn: document.getElementById('undoBtn'),
+        redoBtn: document.getElementById('redoBtn'),
         resetBtn: document.getElementById('resetBtn'),
         // Menu/Modal elements
         menuBtn: document.getElementById('menuBtn'),
+        // Profiles
+        profileBtn: document.getElementById('profileBtn'),
+        profileEmoji: document.getElementById('profileEmoji'),
+        profileOverlay: document.getElementById('profileOverlay'),
+        closeProfileBtn: document.getElementById('closeProfileBtn'),
+        profileList: document.getElementById('profileList'),
+        profileForm: document.getElementById('profileForm'),
+        profileAvatarSelect: document.getElementById('profileAvatarSelect'),
+        profileNameInput: document.getElementById('profileNameInput'),
+        // Restore points
+        openRestoreBtn: document.getElementById('openRestoreBtn'),
+        restoreOverlay: document.getElementById('restoreOverlay'),
+        closeRestoreBtn: document.getElementById('closeRestoreBtn'),
+        restoreList: document.getElementById('restoreList'),
+        // Passphrase protection
+        passphraseToggle: document.getElementById('passphraseToggle'),
+        passphraseToggleLabel: document.getElementById('passphraseToggleLabel'),
+        passphraseOverlay: document.getElementById('passphraseOverlay'),
+        passphraseTitle: document.getElementById('passphraseTitle'),
+        passphraseMessage: document.getElementById('passphraseMessage'),
+        passphraseForm: document.getElementById('passphraseForm'),
+        passphraseInput: document.getElementById('passphraseInput'),
+        passphraseConfirmInput: document.getElementById('passphraseConfirmInput'),
+        cancelPassphraseBtn: document.getElementById('cancelPassphraseBtn'),
+        // Watch history import
+        historyImportBtn: document.getElementById('historyImportBtn'),
+        historyFileInput: document.getElementById('historyFileInput'),
+        historyOverlay: document.getElementById('historyOverlay'),
+        closeHistoryBtn: document.getElementById('closeHistoryBtn'),
+        historySummary: document.getElementById('historySummary'),
+        historyReviewList: document.getElementById('historyReviewList'),
+        cancelHistoryBtn: document.getElementById('cancelHistoryBtn'),
+        continueHistoryBtn: document.getElementById('continueHistoryBtn'),
+        // Read-only notice (another tab is saving)
+        readOnlyOverlay: document.getElementById('readOnlyOverlay'),
+        takeOverBtn: document.getElementById('takeOverBtn'),
         shareBtn: document.getElementById('shareBtn'),
         shareResultsBtn: document.getElementById('shareResultsBtn'),
         modalOverlay: document.getElementById('modalOverlay'),
         closeModalBtn: document.getElementById('closeModalBtn'),
         exportBtn: document.getElementById('exportBtn'),
+        exportLetterboxdBtn: document.getElementById('exportLetterboxdBtn'),
+        exportImdbBtn: document.getElementById('exportImdbBtn'),
+        exportJsonBtn: document.getElementById('exportJsonBtn'),
         importBtn: document.getElementById('importBtn'),
+        importFileBtn: document.getElementById('importFileBtn'),
+        importFileInput: document.getElementById('importFileInput'),
         codeInput: document.getElementById('codeInput'),
         codeActions: document.getElementById('codeActions'),
         copyCodeBtn: document.getElementById('copyCodeBtn'),
         applyCodeBtn: document.getElementById('applyCodeBtn'),
         resetProgressBtn: document.getElementById('resetProgressBtn'),
+        orderSelect: document.getElementById('orderSelect'),
+        // Era picker
+        eraPickerOverlay: document.getElementById('eraPickerOverlay'),
+        closeEraPickerBtn: document.getElementById('closeEraPickerBtn'),
+        eraOptions: document.getElementById('eraOptions'),
+        pickEraBtn: document.getElementById('pickEraBtn'),
+        allErasBtn: document.getElementById('allErasBtn'),
+        // Rating editor
+        recentList: document.getElementById('recentList'),
+        ratingEditorOverlay: document.getElementById('ratingEditorOverlay'),
+        ratedSearchInput: document.getElementById('ratedSearchInput'),
+        closeRatingEditorBtn: document.getElementById('closeRatingEditorBtn'),
+        ratingEditorItem: document.getElementById('ratingEditorItem'),
+        ratingEditorScore: document.getElementById('ratingEditorScore'),
+        ratingEditorChips: document.getElementById('ratingEditorChips'),
+        clearRatingBtn: document.getElementById('clearRatingBtn'),
+        // Import merge
+        mergeOverlay: document.getElementById('mergeOverlay'),
+        closeMergeBtn: document.getElementById('closeMergeBtn'),
+        mergeSummary: document.getElementById('mergeSummary'),
+        mergeStrategies: document.getElementById('mergeStrategies'),
+        importTotals: document.getElementById('importTotals'),
+        importEras: document.getElementById('importEras'),
+        importSamples: document.getElementById('importSamples'),
+        mergeConflicts: document.getElementById('mergeConflicts'),
+        mergeConflictTitle: document.getElementById('mergeConflictTitle'),
+        mergeConflictList: document.getElementById('mergeConflictList'),
+        mergeKeepAllBtn: document.getElementById('mergeKeepAllBtn'),
+        mergeUseAllBtn: document.getElementById('mergeUseAllBtn'),
+        cancelMergeBtn: document.getElementById('cancelMergeBtn'),
+        confirmMergeBtn: document.getElementById('confirmMergeBtn'),
+        // Search
+        searchBtn: document.getElementById('searchBtn'),
+        searchOverlay: document.getElementById('searchOverlay'),
+        closeSearchBtn: document.getElementById('closeSearchBtn'),
+        searchInput: document.getElementById('searchInput'),
+        searchResults: document.getElementById('searchResults'),
+        // Review screen
+        openReviewBtn: document.getElementById('openReviewBtn'),
+        reviewOverlay: document.getElementById('reviewOverlay'),
+        closeReviewBtn: document.getElementById('closeReviewBtn'),
+        reviewGridBtn: document.getElementById('reviewGridBtn'),
+        reviewListBtn: document.getElementById('reviewListBtn'),
+        reviewStatusSelect: document.getElementById('reviewStatusSelect'),
+        reviewEraSelect: document.getElementById('reviewEraSelect'),
+        reviewYearSelect: document.getElementById('reviewYearSelect'),
+        reviewSortSelect: document.getElementById('reviewSortSelect'),
+        reviewSummary: document.getElementById('reviewSummary'),
+        reviewItems: document.getElementById('reviewItems'),
+        reviewMoreBtn: document.getElementById('reviewMoreBtn'),
         toast: document.getElementById('toast'),
         // Stats
         statSeen: document.getElementById('statSeen'),
         statSkipped: document.getElementById('statSkipped'),
+        statWatchlist: document.getElementById('statWatchlist'),
         statRemaining: document.getElementById('statRemaining'),
         // Action bar counters
         seenCounter: document.getElementById('seenCounter'),
         notSeenCounter: document.getElementById('notSeenCounter'),
+        watchlistCounter: document.getElementById('watchlistCounter'),
+        deferredCounter: document.getElementById('deferredCounter'),
+        // Score bar
+        scoreBar: document.getElementById('scoreBar'),
+        scoreBarLabel: document.getElementById('scoreBarLabel'),
+        scoreChips: document.getElementById('scoreChips'),
+        statScores: document.getElementById('statScores'),
+        statPace: document.getElementById('statPace'),
         // V2.0 Elements
         soundToggleBtn: document.getElementById('soundToggleBtn'),
         soundOnIcon: document.getElementById('soundOnIcon'),
@@ -54,6 +157,8 @@
         backupModal: document.getElementById('backupModal'),
         closeBackupModal: document.getElementById('closeBackupModal'),
         qrCode: document.getElementById('qrCode'),
+        qrPartLabel: document.getElementById('qrPartLabel'),
+        qrHint: document.getElementById('qrHint'),
         backupProgressCount: document.getElementById('backupProgressCount'),
         shareEmail: document.getElementById('shareEmail'),
         shareSMS: document.getElementById('shareSMS'),
@@ -85,10 +190,42 @@
     // Track last backup reminder milestone
     let lastBackupReminder = 0;
 
+    // Item open in the rating editor
+    let editingItemId = null;
+
+    // A read-only tab can hear from the writer while its own storage is still opening
+    let deckStarted = false;
+    let earlyRemoteState = null;
+    // Latest storage open; startup, profile switches and tab role changes queue behind it
+    let storageOpen = Promise.resolve();
+
+    // Import waiting for a merge decision: { state, warning, gamification }
+    let pendingImport = null;
+    let mergeResolutions = {};
+
+    // Passphrase of the backup modal's link, reused for its file download
+    let backupPassphrase = null;
+    // Cycles the parts of a multi-part QR code
+    let qrPartTimer = null;
+    // Nested dragenter/dragleave count while a file is dragged over the page
+    let fileDragDepth = 0;
+
+    // Watch history file being reviewed: { matched, review, source, choices: { reviewIndex: id } }
+    let historyImport = null;
+
+    // Review screen paging
+    const REVIEW_PAGE_SIZE = 60;
+    let reviewLimit = REVIEW_PAGE_SIZE;
+
+    // Item currently offered for a personal score
+    let scoreTargetId = null;
+    let scoreBarTimeout = null;
+    const SCORE_BAR_DURATION_MS = 6000;
+
     /**
      * Initialize the application
      */
-    function init() {
+    async function init() {
         try {
             // Initialize config system first
             config = ConfigLoader.init();
@@ -102,38 +239,29 @@
             // Initialize ItemManager
             ItemManager.init();
 
-            // Initialize StorageManager with config
-            StorageManager.init();
-
-            // Check for URL-based progress first (for shared links)
-            let savedState = StorageManager.checkURLForProgress();
-
-            if (savedState) {
-                // Progress restored from URL - save it locally
-                StorageManager.save(savedState);
-                showToast('Progress restored from link!', 'success');
-            } else {
-                // Load saved state from localStorage
-                savedState = StorageManager.load();
+            // Read the profile list, then open the active profile's storage
+            // (opens IndexedDB, migrating localStorage data). Only one tab saves each
+            // profile, so find out if it's this one before storage writes anything.
+            ProfileManager.init();
+            await startTabSync();
+            await openStorage(false);
+
+            // Check for URL-based progress (for shared links)
+            const linked = await StorageManager.checkURLForProgress({ getPassphrase: promptImportPassphrase, onPart: showPartProgress });
+            let linkedImport = null;
+
+            if (linked && linked.imported) {
+                // Preview the link's progress once the app is running; nothing is saved until confirmed
+                const { importInfo, ...restored } = linked.imported;
+                linkedImport = { state: restored, warning: getImportWarning(importInfo), profile: importInfo.profile };
             }
 
             // Initialize v2.0 Managers
             ThemeManager.init();
-            GamificationManager.init(savedState.seen?.length || 0, savedState.bestStreak || 0);
-
-            // Initialize backup reminder tracking
-            const totalRated = savedState.seen.length + savedState.notSeen.length;
-            const reminderInterval = (config.gamification && config.gamification.backupReminderInterval) || 100;
-            lastBackupReminder = Math.floor(totalRated / reminderInterval) * reminderInterval;
-
-            // Get items from ItemManager
-            const items = ItemManager.getAll();
 
-            // Initialize the sliding window
-            SlidingWindow.init(items, savedState, {
-                onUpdate: handleUpdate,
-                onComplete: handleComplete
-            });
+            // Start the deck with the active profile's progress (after any reopen for a role change)
+            await whenStorageOpen();
+            startProfile();
 
             // Set up event listeners
             setupEventListeners();
@@ -147,6 +275,13 @@
 
             // Hide loading, show cards
             elements.loadingState.classList.add('hidden');
+
+            if (linkedImport) {
+                await routeImportToProfile(linkedImport.profile);
+                openMergeDialog(linkedImport.state, linkedImport.warning);
+            } else if (linked && linked.error) {
+                showToast(linked.error, 'error');
+            }
         } catch (error) {
             console.error('Init error:', error);
             // Show error on page
@@ -157,6 +292,39 @@
         }
     }
 
+    /**
+     * Load the active profile's progress and settings and (re)start the deck
+     * StorageManager must already be initialized for the profile.
+     */
+    function startProfile() {
+        // Saved progress that couldn't be upgraded is kept as-is, so just let the user know
+        const migrationReport = StorageManager.getMigrationReport();
+        if (migrationReport && migrationReport.error) {
+            showToast(`${migrationReport.error} Nothing was deleted.`, 'error');
+        }
+
+        // The writer tab's latest state beats what it has saved so far
+        const savedState = earlyRemoteState || StorageManager.load();
+        earlyRemoteState = null;
+        deckStarted = true;
+        const settings = ProfileManager.getSettings();
+
+        GamificationManager.init(savedState.seen?.length || 0, (settings.gamification && settings.gamification.bestStreak) || savedState.bestStreak || 0);
+        applySoundSetting(settings.soundEnabled);
+        renderProfileButton();
+
+        // Initialize backup reminder tracking
+        const totalRated = savedState.seen.length + savedState.notSeen.length + (savedState.watchlist || []).length;
+        const reminderInterval = (config.gamification && config.gamification.backupReminderInterval) || 100;
+        lastBackupReminder = Math.floor(totalRated / reminderInterval) * reminderInterval;
+
+        // Initialize the sliding window
+        SlidingWindow.init(ItemManager.getAll(), savedState, {
+            onUpdate: handleUpdate,
+            onComplete: handleComplete
+        });
+    }
+
     /**
      * Check if user is in private browsing mode
      * Private mode may not persist localStorage reliably
@@ -170,7 +338,7 @@
 
         // Check if user has any saved progress
         const savedState = StorageManager.load();
-        const hasProgress = savedState.seen.length > 0 || savedState.notSeen.length > 0;
+        const hasProgress = savedState.seen.length > 0 || savedState.notSeen.length > 0 || savedState.watchlist.length > 0;
 
         // Show warning to iOS Safari users with no progress
         // This covers: new users, private browsing users, and users who lost data
@@ -227,15 +395,22 @@
         // Update counter with animation
         animateCounter(data.progress.current);
 
-        // Update decade badge
+        // Update decade badge (marked when the deck is limited to some eras)
         elements.decadeBadge.textContent = data.decade;
+        elements.decadeBadge.classList.toggle('filtered', SlidingWindow.getEraFilter().length > 0);
 
         // Update undo button state
         elements.undoBtn.disabled = !data.canUndo;
 
-        // Update action bar counters (seen/not seen tally)
+        // Redo only appears when there is something to replay
+        elements.redoBtn.classList.toggle('hidden', !data.canRedo);
+
+        // Update action bar counters (seen/not seen/watchlist tally)
         elements.seenCounter.textContent = data.progress.seen.toLocaleString();
         elements.notSeenCounter.textContent = data.progress.notSeen.toLocaleString();
+        elements.watchlistCounter.textContent = data.progress.watchlist.toLocaleString();
+        elements.deferredCounter.textContent = data.progress.deferred.toLocaleString();
+        elements.deferredCounter.classList.toggle('hidden', data.progress.deferred === 0);
 
         // Render cards
         renderCards(data.window);
@@ -243,8 +418,9 @@
         // Preload images
         preloadImages(data.preload);
 
-        // Save state
+        // Save state (and show it in read-only tabs)
         StorageManager.save(data.state);
+        TabSync.publish(data.state);
 
         // Update background (desktop)
         updateBackground(data.window[0]);
@@ -253,7 +429,8 @@
         if (data.window[0]) {
             const eraValue = ItemManager.getEraValue(data.window[0]);
             const themeResult = ThemeManager.updateForYear(eraValue);
-            if (themeResult.changed && themeResult.from !== null) {
+            // Era toasts only make sense when the deck walks through time in order
+            if (themeResult.changed && themeResult.from !== null && SlidingWindow.isEraOrdered()) {
                 // Era changed! Celebrate
                 AudioManager.playDecadeTransition();
                 showDecadeToast(themeResult.theme);
@@ -261,7 +438,7 @@
         }
 
         // Check for 100-movie backup reminder (mobile only)
-        checkBackupReminder(data.progress.seen + data.progress.notSeen);
+        checkBackupReminder(data.progress.current);
     }
 
     /**
@@ -348,21 +525,85 @@
         elements.cardStack.innerHTML = '';
         elements.completionState.classList.remove('hidden');
 
+        // Finishing a filtered deck only completes those eras
+        const eraFilter = SlidingWindow.getEraFilter();
+        const isFiltered = eraFilter.length > 0;
+        elements.resetBtn.classList.toggle('hidden', isFiltered);
+        elements.pickEraBtn.classList.toggle('hidden', !isFiltered);
+        elements.allErasBtn.classList.toggle('hidden', !isFiltered);
+
+        // Disable action buttons
+        setActionButtonsDisabled(true);
+
+        if (isFiltered) {
+            showEraCompletion(eraFilter);
+            return;
+        }
+
         const stats = StorageManager.getStats(state);
         const totalCount = config.data.totalCount.toLocaleString();
         const itemTypePlural = config.itemTypePlural || 'movies';
         const positiveLabel = config.actions.positive.pastTense || 'seen';
         const negativeLabel = config.actions.negative.pastTense || 'not seen';
+        const watchlistLabel = config.actions.watchlist.pastTense || 'on watchlist';
 
         elements.completionStats.innerHTML = `
             You've rated all <strong>${totalCount}</strong> ${itemTypePlural}!<br>
             ${positiveLabel.charAt(0).toUpperCase() + positiveLabel.slice(1)}: <span style="color: var(--accent-seen)">${stats.seenCount}</span> |
-            ${negativeLabel.charAt(0).toUpperCase() + negativeLabel.slice(1)}: <span style="color: var(--accent-skip)">${stats.notSeenCount}</span>
+            ${negativeLabel.charAt(0).toUpperCase() + negativeLabel.slice(1)}: <span style="color: var(--accent-skip)">${stats.notSeenCount}</span> |
+            ${watchlistLabel.charAt(0).toUpperCase() + watchlistLabel.slice(1)}: <span style="color: var(--accent-watchlist)">${stats.watchlistCount}</span>
         `;
+    }
 
-        // Disable action buttons
-        elements.seenBtn.disabled = true;
-        elements.skipBtn.disabled = true;
+    /**
+     * Show the completion screen for a filtered deck
+     * @param {Array} eraFilter - Era IDs in the filter
+     */
+    function showEraCompletion(eraFilter) {
+        const deck = SlidingWindow.getDeckProgress();
+        const itemTypePlural = config.itemTypePlural || 'movies';
+        const positiveLabel = config.actions.positive.pastTense || 'seen';
+        const negativeLabel = config.actions.negative.pastTense || 'not seen';
+        const watchlistLabel = config.actions.watchlist.pastTense || 'on watchlist';
+        const eraNames = eraFilter.map(getEraDisplayName).join(', ');
+
+        elements.completionStats.innerHTML = `
+            You've rated all <strong>${deck.total.toLocaleString()}</strong> ${itemTypePlural} from ${escapeHtml(eraNames)}!<br>
+            ${positiveLabel.charAt(0).toUpperCase() + positiveLabel.slice(1)}: <span style="color: var(--accent-seen)">${deck.seen}</span> |
+            ${negativeLabel.charAt(0).toUpperCase() + negativeLabel.slice(1)}: <span style="color: var(--accent-skip)">${deck.notSeen}</span> |
+            ${watchlistLabel.charAt(0).toUpperCase() + watchlistLabel.slice(1)}: <span style="color: var(--accent-watchlist)">${deck.watchlist}</span>
+        `;
+    }
+
+    /**
+     * Get the display name of an era
+     * @param {string} eraId
+     * @returns {string}
+     */
+    function getEraDisplayName(eraId) {
+        const era = config.eras.groups.find(group => group.id === eraId);
+        return era ? era.name : eraId;
+    }
+
+    /**
+     * Hide the completion screen and re-enable actions if the deck has cards left
+     */
+    function resumeIfIncomplete() {
+        if (!SlidingWindow.isComplete()) {
+            setActionButtonsDisabled(false);
+            elements.completionState.classList.add('hidden');
+        }
+    }
+
+    /**
+     * Enable or disable the rating action buttons
+     * @param {boolean} disabled
+     */
+    function setActionButtonsDisabled(disabled) {
+        elements.seenBtn.disabled = disabled;
+        elements.skipBtn.disabled = disabled;
+        elements.watchlistBtn.disabled = disabled;
+        elements.deferBtn.disabled = disabled;
     }
 
     /**
@@ -399,6 +640,7 @@
 
         // Generate rating stars
         const rating = movie.vote_average || 0;
+        const personalScore = SlidingWindow.getScore(ItemManager.getId(movie));
         const fullStars = Math.floor(rating / 2);
         const halfStar = rating % 2 >= 1;
         const stars = '★'.repeat(fullStars) + (halfStar ? '½' : '') + '☆'.repeat(5 - fullStars - (halfStar ? 1 : 0));
@@ -421,6 +663,7 @@
                         loading="${isTop ? 'eager' : 'lazy'}"
                         onerror="this.src='data:image/svg+xml,<svg xmlns=%22http://www.w3.org/2000/svg%22 viewBox=%220 0 400 600%22><rect fill=%22%231a1a1a%22 width=%22400%22 height=%22600%22/><text x=%22200%22 y=%22300%22 text-anchor=%22middle%22 fill=%22%23555%22 font-size=%2224%22>No Poster</text></svg>'"
                     >
+                    ${movie.deferred ? '<div class="card-tag">Back for another look</div>' : ''}
                     <div class="card-overlay">
                         <h2 class="card-title">${escapeHtml(ItemManager.getTitle(movie))}</h2>
                         <p class="card-year">${ItemManager.getSubtitle(movie)}</p>
@@ -430,6 +673,7 @@
 
                     <div class="swipe-indicator seen">SEEN</div>
                     <div class="swipe-indicator skip">NOPE</div>
+                    <div class="swipe-indicator watchlist">WANT</div>
                 </div>
                 <div class="card-back">
                     <div class="card-back-header">
@@ -439,6 +683,7 @@
                 <div class="card-back-rating">
                     <div class="rating-stars">${'★'.repeat(fullStars)}${halfStar ? '½' : ''}${'☆'.repeat(5 - fullStars - (halfStar ? 1 : 0))}</div>
                     <span class="rating-value">${rating.toFixed(1)}/10</span>
+                    ${personalScore ? `<span class="rating-personal">You: ${personalScore}/10</span>` : ''}
                 </div>
                 
                 ${movie.runtime || director ? `
@@ -547,14 +792,17 @@
             `translate(${dragState.currentX}px, ${dragState.currentY}px) rotate(${rotation}deg)`;
 
         // Update hint classes
-        if (dragState.currentX > 50) {
+        if (isUpwardSwipe(50)) {
+            dragState.cardElement.classList.add('hint-up');
+            dragState.cardElement.classList.remove('hint-left', 'hint-right');
+        } else if (dragState.currentX > 50) {
             dragState.cardElement.classList.add('hint-right');
-            dragState.cardElement.classList.remove('hint-left');
+            dragState.cardElement.classList.remove('hint-left', 'hint-up');
         } else if (dragState.currentX < -50) {
             dragState.cardElement.classList.add('hint-left');
-            dragState.cardElement.classList.remove('hint-right');
+            dragState.cardElement.classList.remove('hint-right', 'hint-up');
         } else {
-            dragState.cardElement.classList.remove('hint-left', 'hint-right');
+            dragState.cardElement.classList.remove('hint-left', 'hint-right', 'hint-up');
         }
     }
 
@@ -566,21 +814,30 @@
         if (!dragState.isDragging || !dragState.cardElement) return;
 
         const card = dragState.cardElement;
-        card.classList.remove('dragging', 'hint-left', 'hint-right');
+        card.classList.remove('dragging', 'hint-left', 'hint-right', 'hint-up');
+
+        // Streak before this rating, kept on its history entry for undo
+        const streak = GamificationManager.currentStreak;
 
         // Check if swipe threshold reached
-        if (dragState.currentX > SWIPE_THRESHOLD) {
+        if (isUpwardSwipe(SWIPE_THRESHOLD)) {
+            // Swipe up - Want to Watch
+            card.classList.add('swipe-up');
+            AudioManager.playSkipSound();
+            handleWatchlistAction();
+            setTimeout(() => SlidingWindow.markWatchlist(streak), 300);
+        } else if (dragState.currentX > SWIPE_THRESHOLD) {
             // Swipe right - Seen
             card.classList.add('swipe-right');
             AudioManager.playSeenSound();
             handleSeenAction();
-            setTimeout(() => SlidingWindow.markSeen(), 300);
+            setTimeout(() => commitSeen(streak), 300);
         } else if (dragState.currentX < -SWIPE_THRESHOLD) {
             // Swipe left - Not Seen
             card.classList.add('swipe-left');
             AudioManager.playSkipSound();
             handleSkipAction();
-            setTimeout(() => SlidingWindow.markNotSeen(), 300);
+            setTimeout(() => SlidingWindow.markNotSeen(streak), 300);
         } else {
             // Return to center
             card.style.transform = '';
@@ -593,13 +850,29 @@
         dragState.currentY = 0;
     }
 
+    /**
+     * Check whether the current drag is a mostly-vertical upward swipe
+     * @param {number} threshold - Minimum upward distance in pixels
+     * @returns {boolean}
+     */
+    function isUpwardSwipe(threshold) {
+        return dragState.currentY < -threshold &&
+            Math.abs(dragState.currentY) > Math.abs(dragState.currentX);
+    }
+
     /**
      * Handle "Seen" action gamification
+     * @param {Object} [recorded] - Result already recorded (used by redo)
      */
-    function handleSeenAction() {
-        const result = GamificationManager.recordSeen();
+    function handleSeenAction(recorded) {
+        const result = recorded || GamificationManager.recordSeen();
         updateStreakDisplay(result.streak);
 
+        // Best streak is kept per profile
+        if (result.isNewBest) {
+            ProfileManager.saveSettings({ gamification: GamificationManager.getState() });
+        }
+
         // Check for milestone
         if (result.milestone) {
             AudioManager.playMilestoneSound();
@@ -628,6 +901,121 @@
     function handleSkipAction() {
         GamificationManager.recordSkip();
         hideStreakDisplay();
+        hideScoreBar();
+    }
+
+    /**
+     * Handle "Want to Watch" action gamification
+     * Not a "Seen", so it breaks the streak like a skip
+     */
+    function handleWatchlistAction() {
+        GamificationManager.recordSkip();
+        hideStreakDisplay();
+        hideScoreBar();
+    }
+
+    /**
+     * Undo the last rating, keeping gamification in step
+     */
+    function performUndo() {
+        const undone = SlidingWindow.undo();
+        if (!undone) return;
+
+        // The history entry carries the streak from before the undone action
+        AudioManager.playUndoSound();
+        GamificationManager.recordUndo(undone.action, undone.streak);
+        hideScoreBar();
+        // Re-sync seen count from authoritative source
+        GamificationManager.syncSeenCount(SlidingWindow.getProgress().seen);
+        updateStreakDisplay(GamificationManager.currentStreak);
+        resumeIfIncomplete();
+    }
+
+    /**
+     * Replay the last undone rating, keeping gamification in step
+     */
+    function performRedo() {
+        hideScoreBar();
+        if (!SlidingWindow.redo(GamificationManager.currentStreak)) return;
+
+        // Redo always appends the replayed action to the history
+        const history = SlidingWindow.getState().history;
+        const action = history[history.length - 1].action;
+
+        if (action === 'seen') {
+            AudioManager.playSeenSound();
+            handleSeenAction(GamificationManager.recordRedo(action));
+        } else {
+            if (action === 'defer') {
+                AudioManager.playDeferSound();
+            } else {
+                AudioManager.playSkipSound();
+            }
+            GamificationManager.recordRedo(action);
+            GamificationManager.syncSeenCount(SlidingWindow.getProgress().seen);
+            updateStreakDisplay(GamificationManager.currentStreak);
+        }
+    }
+
+    /**
+     * Mark the current item as seen and offer a personal score for it
+     * @param {number} streak - Streak before this rating, kept for undo
+     */
+    function commitSeen(streak) {
+        const item = SlidingWindow.getCurrentItem();
+        if (SlidingWindow.markSeen(streak) && item) {
+            showScoreBar(item);
+        }
+    }
+
+    // ===== PERSONAL SCORES =====
+
+    /**
+     * Show the 1-10 score chips for an item that was just marked seen
+     * @param {Object} item
+     */
+    function showScoreBar(item) {
+        scoreTargetId = ItemManager.getId(item);
+        elements.scoreBarLabel.textContent = `Score "${ItemManager.getTitle(item)}"?`;
+
+        elements.scoreChips.innerHTML = '';
+        for (let score = 1; score <= 10; score++) {
+            const chip = document.createElement('button');
+            chip.className = 'score-chip';
+            chip.textContent = score;
+            chip.setAttribute('aria-label', `Score ${score} out of 10`);
+            chip.addEventListener('click', () => applyScore(score));
+            elements.scoreChips.appendChild(chip);
+        }
+
+        elements.scoreBar.classList.remove('hidden');
+
+        // Auto-hide if the user keeps swiping
+        clearTimeout(scoreBarTimeout);
+        scoreBarTimeout = setTimeout(hideScoreBar, SCORE_BAR_DURATION_MS);
+    }
+
+    /**
+     * Hide the score chips
+     */
+    function hideScoreBar() {
+        clearTimeout(scoreBarTimeout);
+        scoreBarTimeout = null;
+        scoreTargetId = null;
+        elements.scoreBar.classList.add('hidden');
+    }
+
+    /**
+     * Apply a score to the item offered in the score bar
+     * @param {number} score - 1 to 10
+     */
+    function applyScore(score) {
+        if (scoreTargetId === null) return;
+
+        if (SlidingWindow.setScore(scoreTargetId, score)) {
+            showToast(`Scored ${score}/10`, 'success');
+        }
+        hideScoreBar();
     }
 
     /**
@@ -670,22 +1058,17 @@
             animateButtonSwipe('left');
         });
 
-        elements.undoBtn.addEventListener('click', () => {
-            AudioManager.playUndoSound();
-            // Check what the last action was before undo removes it
-            const state = SlidingWindow.getState();
-            const lastAction = state.history.length > 0
-                ? state.history[state.history.length - 1]
-                : null;
-            const wasSeen = lastAction?.action === 'seen';
-            GamificationManager.recordUndo(wasSeen);
-            hideStreakDisplay();
-            SlidingWindow.undo();
-            // Re-sync seen count from authoritative source
-            const progress = SlidingWindow.getProgress();
-            GamificationManager.syncSeenCount(progress.seen);
+        elements.watchlistBtn.addEventListener('click', () => {
+            animateButtonSwipe('up');
+        });
+
+        elements.deferBtn.addEventListener('click', () => {
+            animateButtonSwipe('down');
         });
 
+        elements.undoBtn.addEventListener('click', performUndo);
+        elements.redoBtn.addEventListener('click', performRedo);
+
         elements.resetBtn.addEventListener('click', handleReset);
 
         // Menu/Settings
@@ -706,6 +1089,41 @@
         elements.importBtn.addEventListener('click', handleImportStart);
         elements.copyCodeBtn.addEventListener('click', handleCopyCode);
         elements.applyCodeBtn.addEventListener('click', handleApplyCode);
+        elements.importFileBtn.addEventListener('click', () => elements.importFileInput.click());
+        elements.importFileInput.addEventListener('change', (e) => {
+            const files = Array.from(e.target.files);
+            e.target.value = ''; // Allow choosing the same file again
+            handleImportFiles(files);
+        });
+
+        // Drop backup files or QR screenshots anywhere on the page
+        const isFileDrag = (e) => e.dataTransfer && Array.from(e.dataTransfer.types).includes('Files');
+        document.addEventListener('dragenter', (e) => {
+            if (!isFileDrag(e)) return;
+            fileDragDepth++;
+            document.body.classList.add('file-drop');
+        });
+        document.addEventListener('dragleave', (e) => {
+            if (!isFileDrag(e)) return;
+            fileDragDepth = Math.max(0, fileDragDepth - 1);
+            if (fileDragDepth === 0) document.body.classList.remove('file-drop');
+        });
+        document.addEventListener('dragover', (e) => {
+            if (isFileDrag(e)) e.preventDefault();
+        });
+        document.addEventListener('drop', (e) => {
+            if (!isFileDrag(e)) return;
+            e.preventDefault();
+            fileDragDepth = 0;
+            document.body.classList.remove('file-drop');
+            handleImportFiles(Array.from(e.dataTransfer.files));
+        });
+        elements.exportLetterboxdBtn.addEventListener('click', () => handleFileExport('letterboxd'));
+        elements.exportImdbBtn.addEventListener('click', () => handleFileExport('imdb'));
+        elements.exportJsonBtn.addEventListener('click', () => handleFileExport('json'));
+
+        // Encryption needs WebCrypto, which is only available over HTTPS
+        elements.passphraseToggleLabel.classList.toggle('hidden', !StorageManager.isEncryptionSupported());
 
         // QR Backup button
         if (elements.backupBtn) {
@@ -716,17 +1134,115 @@
             });
         }
 
+        // Deck order
+        elements.orderSelect.addEventListener('change', handleOrderChange);
+
+        // Era filter
+        elements.decadeBadge.addEventListener('click', openEraPicker);
+        elements.closeEraPickerBtn.addEventListener('click', closeEraPicker);
+        elements.eraPickerOverlay.addEventListener('click', (e) => {
+            if (e.target === elements.eraPickerOverlay) closeEraPicker();
+        });
+        elements.pickEraBtn.addEventListener('click', openEraPicker);
+        elements.allErasBtn.addEventListener('click', () => applyEraFilter([]));
+
+        // Rating editor
+        elements.closeRatingEditorBtn.addEventListener('click', closeRatingEditor);
+        elements.ratingEditorOverlay.addEventListener('click', (e) => {
+            if (e.target === elements.ratingEditorOverlay) closeRatingEditor();
+        });
+        elements.ratingEditorOverlay.querySelectorAll('.rating-choice').forEach(btn => {
+            btn.addEventListener('click', () => applyRatingEdit(btn.dataset.rating));
+        });
+        elements.clearRatingBtn.addEventListener('click', () => applyRatingEdit(null));
+
+        // Import merge
+        elements.mergeOverlay.querySelectorAll('input[name="mergeStrategy"]').forEach(input => {
+            input.addEventListener('change', renderMergeDialog);
+        });
+        elements.mergeKeepAllBtn.addEventListener('click', () => resolveAllConflicts('local'));
+        elements.mergeUseAllBtn.addEventListener('click', () => resolveAllConflicts('incoming'));
+        elements.confirmMergeBtn.addEventListener('click', confirmMerge);
+        elements.cancelMergeBtn.addEventListener('click', closeMergeDialog);
+        elements.closeMergeBtn.addEventListener('click', closeMergeDialog);
+
+        // Search
+        elements.searchBtn.addEventListener('click', openSearch);
+        elements.closeSearchBtn.addEventListener('click', closeSearch);
+        elements.searchOverlay.addEventListener('click', (e) => {
+            if (e.target === elements.searchOverlay) closeSearch();
+        });
+        elements.searchInput.addEventListener('input', renderSearchResults);
+        elements.ratedSearchInput.addEventListener('input', renderRecentRatings);
+
+        // Review screen
+        elements.openReviewBtn.addEventListener('click', () => {
+            closeModal();
+            openReview();
+        });
+        elements.closeReviewBtn.addEventListener('click', closeReview);
+        elements.reviewOverlay.addEventListener('click', (e) => {
+            if (e.target === elements.reviewOverlay) closeReview();
+        });
+        elements.reviewGridBtn.addEventListener('click', () => setReviewView('grid'));
+        elements.reviewListBtn.addEventListener('click', () => setReviewView('list'));
+        [elements.reviewStatusSelect, elements.reviewEraSelect, elements.reviewYearSelect, elements.reviewSortSelect].forEach(select => {
+            select.addEventListener('change', () => {
+                reviewLimit = REVIEW_PAGE_SIZE;
+                renderReview();
+            });
+        });
+        elements.reviewMoreBtn.addEventListener('click', () => {
+            reviewLimit += REVIEW_PAGE_SIZE;
+            renderReview();
+        });
+
         // Reset in modal
         elements.resetProgressBtn.addEventListener('click', () => {
             closeModal();
             handleReset();
         });
 
+        // Restore points
+        elements.openRestoreBtn.addEventListener('click', () => {
+            closeModal();
+            openRestorePoints();
+        });
+        elements.closeRestoreBtn.addEventListener('click', closeRestorePoints);
+        elements.restoreOverlay.addEventListener('click', (e) => {
+            if (e.target === elements.restoreOverlay) closeRestorePoints();
+        });
+
+        // Watch history import
+        elements.historyImportBtn.addEventListener('click', () => elements.historyFileInput.click());
+        elements.historyFileInput.addEventListener('change', handleHistoryFile);
+        elements.closeHistoryBtn.addEventListener('click', closeHistoryReview);
+        elements.cancelHistoryBtn.addEventListener('click', closeHistoryReview);
+        elements.continueHistoryBtn.addEventListener('click', continueHistoryImport);
+        elements.historyOverlay.addEventListener('click', (e) => {
+            if (e.target === elements.historyOverlay) closeHistoryReview();
+        });
+
         // Sound toggle
         if (elements.soundToggleBtn) {
             elements.soundToggleBtn.addEventListener('click', toggleSound);
         }
 
+        // Profiles
+        elements.profileBtn.addEventListener('click', openProfiles);
+        elements.closeProfileBtn.addEventListener('click', closeProfiles);
+        elements.profileOverlay.addEventListener('click', (e) => {
+            if (e.target === elements.profileOverlay) closeProfiles();
+        });
+        elements.profileForm.addEventListener('submit', handleAddProfile);
+        elements.profileAvatarSelect.innerHTML = ProfileManager.AVATARS
+            .map(avatar => `<option value="${avatar}">${avatar}</option>`)
+            .join('');
+        elements.profileNameInput.maxLength = ProfileManager.MAX_NAME_LENGTH;
+
+        // Read-only tab
+        elements.takeOverBtn.addEventListener('click', () => TabSync.requestTakeover());
+
         // Backup modal
         if (elements.closeBackupModal) {
             elements.closeBackupModal.addEventListener('click', closeBackupModal);
@@ -756,20 +1272,34 @@
      * Toggle sound on/off
      */
     function toggleSound() {
-        const isEnabled = AudioManager.toggle();
+        const isEnabled = applySoundSetting(!AudioManager.isEnabled());
+        ProfileManager.saveSettings({ soundEnabled: isEnabled });
+
+        showToast(isEnabled ? '🔊 Sound On' : '🔇 Sound Off', 'success');
+    }
+
+    /**
+     * Turn sound on or off and update the toggle icon
+     * @param {boolean} enabled
+     * @returns {boolean} Whether sound is now on
+     */
+    function applySoundSetting(enabled) {
+        const isEnabled = AudioManager.setEnabled(enabled);
 
         if (elements.soundOnIcon && elements.soundOffIcon) {
             elements.soundOnIcon.classList.toggle('hidden', !isEnabled);
             elements.soundOffIcon.classList.toggle('hidden', isEnabled);
         }
-
-        showToast(isEnabled ? '🔊 Sound On' : '🔇 Sound Off', 'success');
+        return isEnabled;
     }
 
     // ===== MODAL FUNCTIONS =====
 
     function openModal() {
         updateModalStats();
+        elements.ratedSearchInput.value = '';
+        renderRecentRatings();
+        elements.orderSelect.value = SlidingWindow.getOrder().mode;
         elements.modalOverlay.classList.remove('hidden');
         // Reset code input state
         elements.codeInput.classList.add('hidden');
@@ -786,98 +1316,1135 @@
         const progress = SlidingWindow.getProgress();
         elements.statSeen.textContent = progress.seen.toLocaleString();
         elements.statSkipped.textContent = progress.notSeen.toLocaleString();
+        elements.statWatchlist.textContent = progress.watchlist.toLocaleString();
         elements.statRemaining.textContent = progress.remaining.toLocaleString();
-    }
-
-    // ===== EXPORT/IMPORT FUNCTIONS =====
 
-    function handleExport() {
-        const state = SlidingWindow.getState();
+        const stats = StorageManager.getStats(SlidingWindow.getState());
+        if (stats.ratedThisWeek > 0) {
+            elements.statPace.textContent = `Rated in the last 7 days: ${stats.ratedThisWeek.toLocaleString()}`;
+            elements.statPace.classList.remove('hidden');
+        } else {
+            elements.statPace.classList.add('hidden');
+        }
 
-        // Use new compressed format (v2)
-        const encoded = StorageManager.exportCompressed(state);
+        if (stats.scoredCount > 0) {
+            elements.statScores.textContent = `Your average score: ${stats.averageScore}/10 (${stats.scoredCount.toLocaleString()} scored)`;
+            elements.statScores.classList.remove('hidden');
+        } else {
+            elements.statScores.classList.add('hidden');
+        }
+    }
 
-        elements.codeInput.value = encoded;
-        elements.codeInput.classList.remove('hidden');
-        elements.codeActions.classList.remove('hidden');
-        elements.applyCodeBtn.classList.add('hidden');
-        codeInputMode = 'export';
+    /**
+     * Apply a new deck ordering from the settings select
+     */
+    function handleOrderChange() {
+        const mode = elements.orderSelect.value;
+        if (!SlidingWindow.setOrder(mode)) return;
 
-        // Select the text
-        elements.codeInput.select();
+        hideScoreBar();
+        const label = elements.orderSelect.options[elements.orderSelect.selectedIndex].text;
+        showToast(`Deck order: ${label}`, 'success');
     }
 
-    function handleImportStart() {
-        elements.codeInput.value = '';
-        elements.codeInput.placeholder = 'Paste your progress code here...';
-        elements.codeInput.classList.remove('hidden');
-        elements.codeActions.classList.remove('hidden');
-        elements.applyCodeBtn.classList.remove('hidden');
-        elements.copyCodeBtn.classList.add('hidden');
-        codeInputMode = 'import';
-        elements.codeInput.focus();
+    // ===== RATING EDITOR =====
+
+    const RECENT_RATINGS_MAX = 10;
+
+    /**
+     * Get the display label for a rating
+     * @param {string|null} rating - 'seen', 'notSeen', 'watchlist', 'deferred' or null
+     * @returns {string}
+     */
+    function getRatingLabel(rating) {
+        switch (rating) {
+            case 'seen': return config.actions.positive.label || 'Seen';
+            case 'notSeen': return config.actions.negative.label || "Haven't Seen";
+            case 'watchlist': return config.actions.watchlist.label || 'Want to Watch';
+            case 'deferred': return 'Not sure yet';
+            default: return 'Not rated';
+        }
     }
 
-    function handleCopyCode() {
-        elements.codeInput.select();
-        navigator.clipboard.writeText(elements.codeInput.value)
-            .then(() => showToast('Code copied to clipboard!', 'success'))
-            .catch(() => showToast('Failed to copy', 'error'));
+    /**
+     * @param {number|string} id - Item ID
+     * @returns {boolean} Whether the item is seen, not seen or on the watchlist
+     */
+    function isRatedItem(id) {
+        return ['seen', 'notSeen', 'watchlist'].includes(SlidingWindow.getRating(id));
     }
 
-    function handleApplyCode() {
-        const code = elements.codeInput.value.trim();
-        if (!code) {
-            showToast('Please paste a progress code', 'error');
-            return;
+    /**
+     * Rated items, most recently rated or edited first
+     * @param {number} limit
+     * @returns {Array} Item IDs
+     */
+    function getRecentlyRatedIds(limit) {
+        const ids = [];
+        const activity = SlidingWindow.getActivity();
+        for (let i = activity.length - 1; i >= 0 && ids.length < limit; i--) {
+            const id = activity[i][1];
+            if (!ids.includes(id) && isRatedItem(id)) ids.push(id);
         }
 
-        // Use new importCompressed which handles both v1 and v2 formats
-        const newState = StorageManager.importCompressed(code);
+        // Ratings imported without an activity log have no dates; list the latest added
+        if (ids.length < limit) {
+            const state = SlidingWindow.getState();
+            const undated = [...state.seen, ...state.notSeen, ...state.watchlist].reverse();
+            for (let i = 0; i < undated.length && ids.length < limit; i++) {
+                if (!ids.includes(undated[i])) ids.push(undated[i]);
+            }
+        }
+        return ids;
+    }
 
-        if (!newState) {
-            showToast('Invalid progress code', 'error');
+    /**
+     * List recently rated items in the settings modal, or rated items matching the search box
+     */
+    function renderRecentRatings() {
+        const query = elements.ratedSearchInput.value;
+        const ids = query.trim()
+            ? ItemManager.search(query, Infinity)
+                .map(item => ItemManager.getId(item))
+                .filter(isRatedItem)
+                .slice(0, RECENT_RATINGS_MAX)
+            : getRecentlyRatedIds(RECENT_RATINGS_MAX);
+
+        elements.recentList.innerHTML = '';
+        if (ids.length === 0) {
+            const message = query.trim() ? 'No rated titles match.' : 'Nothing rated yet.';
+            elements.recentList.innerHTML = `<p class="section-desc">${message}</p>`;
             return;
         }
 
-        StorageManager.save(newState);
-
-        // Reinitialize the sliding window
-        SlidingWindow.init(ItemManager.getAll(), newState, {
-            onUpdate: handleUpdate,
-            onComplete: handleComplete
+        ids.forEach(id => {
+            const item = ItemManager.getById(id);
+            if (!item) return;
+            elements.recentList.appendChild(createRatedRow(item, () => {
+                closeModal();
+                openRatingEditor(id);
+            }));
         });
+    }
+
+    /**
+     * Create a tappable row for a rated item
+     * @param {Object} item
+     * @param {Function} onClick
+     * @returns {HTMLElement}
+     */
+    function createRatedRow(item, onClick) {
+        const id = ItemManager.getId(item);
+        const rating = SlidingWindow.getRating(id);
+        const score = SlidingWindow.getScore(id);
+
+        const row = document.createElement('button');
+        row.className = 'rated-row';
+        row.innerHTML = `
+            <span class="rated-row-title">${escapeHtml(ItemManager.getTitle(item))} <span class="rated-row-year">${ItemManager.getSubtitle(item)}</span></span>
+            <span class="rated-row-rating rating-${rating || 'none'}">${getRatingLabel(rating)}${score ? ` · ${score}/10` : ''}</span>
+        `;
+        row.addEventListener('click', onClick);
+        return row;
+    }
 
-        // Re-sync gamification manager with imported seen count
-        GamificationManager.init(newState.seen.length, 0);
+    /**
+     * Open the rating editor for any item
+     * @param {number|string} id - Item ID
+     */
+    function openRatingEditor(id) {
+        const item = ItemManager.getById(id);
+        if (!item) return;
 
-        // Update backup reminder tracking
-        const totalRated = newState.seen.length + newState.notSeen.length;
-        const reminderInterval = config.gamification.backupReminderInterval || 100;
-        lastBackupReminder = Math.floor(totalRated / reminderInterval) * reminderInterval;
+        editingItemId = id;
+        renderRatingEditor();
+        elements.ratingEditorOverlay.classList.remove('hidden');
+    }
 
-        closeModal();
-        showToast(`Imported ${newState.seen.length + newState.notSeen.length} ratings!`, 'success');
+    function closeRatingEditor() {
+        elements.ratingEditorOverlay.classList.add('hidden');
+        editingItemId = null;
+    }
 
-        // Re-enable buttons if not complete
-        if (!SlidingWindow.isComplete()) {
-            elements.seenBtn.disabled = false;
-            elements.skipBtn.disabled = false;
-            elements.completionState.classList.add('hidden');
+    /**
+     * Render the item, its current rating and score chips in the editor
+     */
+    function renderRatingEditor() {
+        const item = ItemManager.getById(editingItemId);
+        const rating = SlidingWindow.getRating(editingItemId);
+        const score = SlidingWindow.getScore(editingItemId);
+
+        elements.ratingEditorItem.innerHTML = `
+            <img class="rating-editor-poster" src="${getPosterUrl(item)}" alt="">
+            <div>
+                <div class="rating-editor-title">${escapeHtml(ItemManager.getTitle(item))}</div>
+                <div class="rating-editor-meta">${ItemManager.getSubtitle(item)} · ${getRatingLabel(rating)}</div>
+            </div>
+        `;
+
+        elements.ratingEditorOverlay.querySelectorAll('.rating-choice').forEach(btn => {
+            btn.classList.toggle('active', btn.dataset.rating === rating);
+        });
+        elements.clearRatingBtn.disabled = rating === null;
+
+        // Scores only apply to seen items
+        elements.ratingEditorScore.classList.toggle('hidden', rating !== 'seen');
+        elements.ratingEditorChips.innerHTML = '';
+        if (rating === 'seen') {
+            for (let value = 1; value <= 10; value++) {
+                const chip = document.createElement('button');
+                chip.className = 'score-chip' + (value === score ? ' active' : '');
+                chip.textContent = value;
+                chip.setAttribute('aria-label', `Score ${value} out of 10`);
+                chip.addEventListener('click', () => {
+                    // Tapping the current score clears it
+                    SlidingWindow.setScore(editingItemId, value === score ? null : value);
+                    renderRatingEditor();
+                });
+                elements.ratingEditorChips.appendChild(chip);
+            }
         }
     }
 
-    // ===== SHARE FUNCTION =====
+    /**
+     * Apply a rating change from the editor
+     * @param {string|null} rating - New rating, or null to clear
+     */
+    function applyRatingEdit(rating) {
+        if (editingItemId === null) return;
 
-    function shareResults() {
-        const progress = SlidingWindow.getProgress();
-        const percentSeen = progress.current > 0
-            ? Math.round((progress.seen / progress.current) * 100)
-            : 0;
+        if (updateItemRating(editingItemId, rating)) {
+            showToast(rating ? `Marked as ${getRatingLabel(rating)}` : 'Rating cleared', 'success');
+        }
+        renderRatingEditor();
+    }
 
-        // Calculate era breakdown
-        const state = SlidingWindow.getState();
+    /**
+     * Change any item's rating outside the swipe flow
+     * @param {number|string} id - Item ID
+     * @param {string|null} rating - New rating, or null to clear
+     * @returns {boolean} Whether the rating changed
+     */
+    function updateItemRating(id, rating) {
+        if (!SlidingWindow.setRating(id, rating)) return false;
+
+        // Ratings were changed outside the swipe flow, so re-sync totals
+        GamificationManager.syncSeenCount(SlidingWindow.getProgress().seen);
+        hideScoreBar();
+        resumeIfIncomplete();
+        return true;
+    }
+
+    // ===== SEARCH =====
+
+    /**
+     * Open title search
+     */
+    function openSearch() {
+        elements.searchOverlay.classList.remove('hidden');
+        elements.searchInput.value = '';
+        renderSearchResults();
+        elements.searchInput.focus();
+    }
+
+    function closeSearch() {
+        elements.searchOverlay.classList.add('hidden');
+        elements.searchResults.innerHTML = '';
+    }
+
+    /**
+     * Render matches for the search box, each with Seen / Haven't Seen buttons
+     */
+    function renderSearchResults() {
+        const query = elements.searchInput.value;
+        elements.searchResults.innerHTML = '';
+        if (!query.trim()) return;
+
+        const results = ItemManager.search(query);
+        if (results.length === 0) {
+            elements.searchResults.innerHTML = '<p class="section-desc">No matches.</p>';
+            return;
+        }
+
+        results.forEach(item => {
+            elements.searchResults.appendChild(createSearchResult(item));
+        });
+    }
+
+    /**
+     * Create a search result row
+     * @param {Object} item
+     * @returns {HTMLElement}
+     */
+    function createSearchResult(item) {
+        const id = ItemManager.getId(item);
+        const rating = SlidingWindow.getRating(id);
+
+        const row = document.createElement('div');
+        row.className = 'search-result';
+        row.innerHTML = `
+            <img class="search-result-poster" src="${getPosterUrl(item)}" alt="" loading="lazy">
+            <div class="search-result-info">
+                <div class="search-result-title">${escapeHtml(ItemManager.getTitle(item))}</div>
+                <div class="search-result-meta">${ItemManager.getSubtitle(item)} · <span class="rating-${rating || 'none'}">${getRatingLabel(rating)}</span></div>
+            </div>
+            <div class="search-result-actions"></div>
+        `;
+
+        const actions = row.querySelector('.search-result-actions');
+        [['seen', '✓'], ['notSeen', '✕']].forEach(([value, symbol]) => {
+            const btn = document.createElement('button');
+            btn.className = `search-rate search-rate-${value}` + (rating === value ? ' active' : '');
+            btn.textContent = symbol;
+            btn.setAttribute('aria-label', getRatingLabel(value));
+            btn.title = getRatingLabel(value);
+            btn.addEventListener('click', () => {
+                // The deck skips this item when it gets there
+                if (updateItemRating(id, value)) {
+                    showToast(`${ItemManager.getTitle(item)}: ${getRatingLabel(value)}`, 'success');
+                }
+                renderSearchResults();
+            });
+            actions.appendChild(btn);
+        });
+
+        return row;
+    }
+
+    // ===== REVIEW SCREEN =====
+
+    /**
+     * Open the review screen listing every seen and not-seen item
+     */
+    function openReview() {
+        renderReviewEraOptions();
+        reviewLimit = REVIEW_PAGE_SIZE;
+        renderReview();
+        elements.reviewOverlay.classList.remove('hidden');
+    }
+
+    function closeReview() {
+        elements.reviewOverlay.classList.add('hidden');
+        elements.reviewItems.innerHTML = '';
+    }
+
+    /**
+     * Switch between the poster grid and the compact list
+     * @param {string} view - 'grid' or 'list'
+     */
+    function setReviewView(view) {
+        elements.reviewItems.classList.toggle('review-grid', view === 'grid');
+        elements.reviewItems.classList.toggle('review-list', view === 'list');
+        elements.reviewGridBtn.classList.toggle('active', view === 'grid');
+        elements.reviewListBtn.classList.toggle('active', view === 'list');
+    }
+
+    function renderReviewEraOptions() {
+        const selected = elements.reviewEraSelect.value;
+        elements.reviewEraSelect.innerHTML = '<option value="">All eras</option>';
+        config.eras.groups.forEach(era => {
+            const option = document.createElement('option');
+            option.value = era.id;
+            option.textContent = era.name;
+            elements.reviewEraSelect.appendChild(option);
+        });
+        elements.reviewEraSelect.value = selected || '';
+    }
+
+    /**
+     * Rebuild the year choices from the items left after the status and era filters
+     * @param {Array} reviewItems - Items before the year filter
+     */
+    function renderReviewYearOptions(reviewItems) {
+        const selected = elements.reviewYearSelect.value;
+        const years = [...new Set(reviewItems.map(item => String(ItemManager.getEraValue(item))))]
+            .sort((a, b) => Number(a) - Number(b));
+
+        elements.reviewYearSelect.innerHTML = '<option value="">All years</option>';
+        years.forEach(year => {
+            const option = document.createElement('option');
+            option.value = year;
+            option.textContent = year;
+            elements.reviewYearSelect.appendChild(option);
+        });
+        elements.reviewYearSelect.value = years.includes(selected) ? selected : '';
+    }
+
+    /**
+     * Sort value for "Your rating": scored items by score, then unscored seen, then not seen
+     * @param {number|string} id
+     * @returns {number}
+     */
+    function getReviewRank(id) {
+        if (SlidingWindow.getRating(id) !== 'seen') return -1;
+        return SlidingWindow.getScore(id) || 0;
+    }
+
+    /**
+     * Render the filtered and sorted review items
+     */
+    function renderReview() {
+        const state = SlidingWindow.getState();
+        const status = elements.reviewStatusSelect.value;
+        const eraId = elements.reviewEraSelect.value;
+
+        const ids = [
+            ...(status !== 'notSeen' ? state.seen : []),
+            ...(status !== 'seen' ? state.notSeen : [])
+        ];
+        let reviewItems = ids
+            .map(id => ItemManager.getById(id))
+            .filter(item => item && (!eraId || ItemManager.getEraId(item) === eraId));
+
+        renderReviewYearOptions(reviewItems);
+        const year = elements.reviewYearSelect.value;
+        if (year) {
+            reviewItems = reviewItems.filter(item => String(ItemManager.getEraValue(item)) === year);
+        }
+
+        const byTitle = (a, b) => ItemManager.getTitle(a).localeCompare(ItemManager.getTitle(b), undefined, { sensitivity: 'base' });
+        const byYear = (a, b) => Number(ItemManager.getEraValue(a)) - Number(ItemManager.getEraValue(b));
+        const sorters = {
+            title: byTitle,
+            year: (a, b) => byYear(a, b) || byTitle(a, b),
+            yearDesc: (a, b) => byYear(b, a) || byTitle(a, b),
+            rating: (a, b) => getReviewRank(ItemManager.getId(b)) - getReviewRank(ItemManager.getId(a)) || byTitle(a, b)
+        };
+        reviewItems.sort(sorters[elements.reviewSortSelect.value] || byTitle);
+
+        const itemTypePlural = config.itemTypePlural || 'movies';
+        elements.reviewSummary.textContent = `${reviewItems.length.toLocaleString()} ${itemTypePlural}`;
+
+        elements.reviewItems.innerHTML = '';
+        if (reviewItems.length === 0) {
+            elements.reviewItems.innerHTML = '<p class="section-desc">Nothing matches these filters.</p>';
+        }
+        reviewItems.slice(0, reviewLimit).forEach(item => {
+            elements.reviewItems.appendChild(createReviewItem(item));
+        });
+        elements.reviewMoreBtn.classList.toggle('hidden', reviewItems.length <= reviewLimit);
+    }
+
+    /**
+     * Create a review entry with inline rating and score controls
+     * @param {Object} item
+     * @returns {HTMLElement}
+     */
+    function createReviewItem(item) {
+        const id = ItemManager.getId(item);
+        const title = ItemManager.getTitle(item);
+        const rating = SlidingWindow.getRating(id);
+        const score = SlidingWindow.getScore(id);
+        const ratedAt = SlidingWindow.getRatedAt(id);
+
+        const entry = document.createElement('div');
+        entry.className = `review-item rating-${rating}`;
+        entry.innerHTML = `
+            <img class="review-poster" src="${getPosterUrl(item)}" alt="" loading="lazy">
+            <div class="review-info">
+                <div class="review-title">${escapeHtml(title)}</div>
+                <div class="review-meta">${ItemManager.getSubtitle(item)}${ratedAt ? ` · ${ratedAt.toLocaleDateString()}` : ''}</div>
+                <div class="review-edit"></div>
+            </div>
+        `;
+        const edit = entry.querySelector('.review-edit');
+
+        const ratingSelect = document.createElement('select');
+        ratingSelect.className = 'review-select';
+        ratingSelect.setAttribute('aria-label', `Rating for ${title}`);
+        ['seen', 'notSeen', 'watchlist'].forEach(value => {
+            ratingSelect.add(new Option(getRatingLabel(value), value, false, value === rating));
+        });
+        ratingSelect.add(new Option('Clear rating', ''));
+        ratingSelect.addEventListener('change', () => {
+            if (updateItemRating(id, ratingSelect.value || null)) {
+                showToast(ratingSelect.value ? `Marked as ${getRatingLabel(ratingSelect.value)}` : 'Rating cleared', 'success');
+            }
+            renderReview();
+        });
+        edit.appendChild(ratingSelect);
+
+        // Scores only apply to seen items
+        if (rating === 'seen') {
+            const scoreSelect = document.createElement('select');
+            scoreSelect.className = 'review-select review-score';
+            scoreSelect.setAttribute('aria-label', `Score for ${title}`);
+            scoreSelect.add(new Option('–/10', ''));
+            for (let value = 1; value <= 10; value++) {
+                scoreSelect.add(new Option(`${value}/10`, value, false, value === score));
+            }
+            scoreSelect.addEventListener('change', () => {
+                SlidingWindow.setScore(id, scoreSelect.value ? parseInt(scoreSelect.value, 10) : null);
+                if (elements.reviewSortSelect.value === 'rating') renderReview();
+            });
+            edit.appendChild(scoreSelect);
+        }
+
+        return entry;
+    }
+
+    // ===== ERA FILTER =====
+
+    /**
+     * Open the era picker
+     */
+    function openEraPicker() {
+        renderEraOptions();
+        elements.eraPickerOverlay.classList.remove('hidden');
+    }
+
+    function closeEraPicker() {
+        elements.eraPickerOverlay.classList.add('hidden');
+    }
+
+    /**
+     * Render the era toggles with per-era progress
+     */
+    function renderEraOptions() {
+        const eraFilter = SlidingWindow.getEraFilter();
+        const state = SlidingWindow.getState();
+        const rated = [...state.seen, ...state.notSeen, ...state.watchlist];
+        const ratedByEra = ItemManager.calculateEraStats(rated);
+        const totalByEra = ItemManager.calculateEraStats(ItemManager.getAll().map(item => ItemManager.getId(item)));
+
+        elements.eraOptions.innerHTML = '';
+
+        const allBtn = document.createElement('button');
+        allBtn.className = 'era-option' + (eraFilter.length === 0 ? ' active' : '');
+        allBtn.innerHTML = `<span class="era-option-name">All eras</span>`;
+        allBtn.addEventListener('click', () => applyEraFilter([]));
+        elements.eraOptions.appendChild(allBtn);
+
+        config.eras.groups.forEach(era => {
+            const isActive = eraFilter.includes(era.id);
+            const btn = document.createElement('button');
+            btn.className = 'era-option' + (isActive ? ' active' : '');
+            btn.setAttribute('aria-pressed', isActive ? 'true' : 'false');
+            btn.innerHTML = `
+                <span class="era-option-name">${escapeHtml(era.name)}</span>
+                <span class="era-option-progress">${(ratedByEra[era.id] || 0).toLocaleString()} / ${(totalByEra[era.id] || 0).toLocaleString()}</span>
+            `;
+            // Toggle this era in or out of the current selection
+            btn.addEventListener('click', () => {
+                const next = isActive
+                    ? eraFilter.filter(id => id !== era.id)
+                    : [...eraFilter, era.id];
+                applyEraFilter(next);
+            });
+            elements.eraOptions.appendChild(btn);
+        });
+    }
+
+    /**
+     * Limit the deck to the given eras
+     * @param {Array} eraIds - Era IDs (empty = all eras)
+     */
+    function applyEraFilter(eraIds) {
+        hideScoreBar();
+        if (SlidingWindow.setEraFilter(eraIds)) {
+            const eraFilter = SlidingWindow.getEraFilter();
+            showToast(eraFilter.length > 0 ? `Deck: ${eraFilter.map(getEraDisplayName).join(', ')}` : 'Deck: All eras', 'success');
+        }
+        resumeIfIncomplete();
+
+        if (!elements.eraPickerOverlay.classList.contains('hidden')) {
+            renderEraOptions();
+        }
+    }
+
+    // ===== EXPORT/IMPORT FUNCTIONS =====
+
+    async function handleExport() {
+        const state = SlidingWindow.getState();
+        const protection = await chooseExportPassphrase();
+        if (!protection) return;
+
+        // Compressed v3 format (stable IDs), with the activity log since this is a full export
+        const encoded = await StorageManager.exportCompressed(state, { includeActivity: true, passphrase: protection.passphrase });
+
+        elements.codeInput.value = encoded;
+        elements.codeInput.classList.remove('hidden');
+        elements.codeActions.classList.remove('hidden');
+        elements.applyCodeBtn.classList.add('hidden');
+        codeInputMode = 'export';
+
+        // Select the text
+        elements.codeInput.select();
+    }
+
+    /**
+     * Download progress as a file other services (or scripts) can read
+     * @param {string} format - 'letterboxd', 'imdb' or 'json'
+     */
+    function handleFileExport(format) {
+        const state = SlidingWindow.getState();
+        if (format === 'letterboxd') {
+            saveFile(ExportManager.toLetterboxdCSV(state), getExportFileName('letterboxd', 'csv'), 'text/csv');
+        } else if (format === 'imdb') {
+            const labels = {
+                seen: config.actions.positive.pastTense || 'Seen',
+                watchlist: config.actions.watchlist.label || 'Want to Watch'
+            };
+            saveFile(ExportManager.toIMDbCSV(state, labels), getExportFileName('imdb', 'csv'), 'text/csv');
+        } else {
+            const meta = {
+                app: config.name || '5000 Movie Challenge',
+                profile: ProfileManager.getActive().name,
+                stateVersion: StorageManager.STATE_VERSION,
+                fingerprint: ItemManager.getFingerprint()
+            };
+            saveFile(ExportManager.toJSON(state, meta), getExportFileName('export', 'json'), 'application/json');
+        }
+        showToast('File downloaded!', 'success');
+    }
+
+    function handleImportStart() {
+        elements.codeInput.value = '';
+        elements.codeInput.placeholder = 'Paste your progress code here...';
+        elements.codeInput.classList.remove('hidden');
+        elements.codeActions.classList.remove('hidden');
+        elements.applyCodeBtn.classList.remove('hidden');
+        elements.copyCodeBtn.classList.add('hidden');
+        codeInputMode = 'import';
+        elements.codeInput.focus();
+    }
+
+    function handleCopyCode() {
+        elements.codeInput.select();
+        navigator.clipboard.writeText(elements.codeInput.value)
+            .then(() => showToast('Code copied to clipboard!', 'success'))
+            .catch(() => showToast('Failed to copy', 'error'));
+    }
+
+    async function handleApplyCode() {
+        const text = elements.codeInput.value.trim();
+        if (!text) {
+            showToast('Please paste a progress code', 'error');
+            return;
+        }
+        await importCode(text);
+    }
+
+    /**
+     * Import a pasted or scanned code, share link, or multi-part code parts
+     * @param {string} text
+     */
+    async function importCode(text) {
+        let code = StorageManager.extractCode(text);
+
+        // Parts of a multi-part QR code can be pasted one at a time or together, in any order
+        const parts = text.split(/\s+/).map(StorageManager.parseCodePart).filter(Boolean);
+        if (parts.length > 0) {
+            const progress = parts.map(StorageManager.addCodePart).pop();
+            showPartProgress(progress);
+            if (!progress.code) {
+                elements.codeInput.value = '';
+                return;
+            }
+            code = progress.code;
+        }
+
+        // importCompressed handles v1, v2 and v3 formats, asking for the passphrase of encrypted codes
+        const { imported, error } = await StorageManager.importCompressed(code, { getPassphrase: promptImportPassphrase });
+
+        if (!imported) {
+            // No error means the passphrase prompt was cancelled
+            if (error) showToast(error, 'error');
+            return;
+        }
+
+        // The import report is not part of the saved state
+        const { importInfo, ...newState } = imported;
+        const importWarning = getImportWarning(importInfo);
+
+        closeModal();
+
+        // Nothing is saved until the import is confirmed
+        await routeImportToProfile(importInfo.profile);
+        openMergeDialog(newState, importWarning);
+    }
+
+    /**
+     * Save an imported or merged state and restart the deck with it
+     * @param {Object} newState
+     * @returns {number} Total rated items
+     */
+    function applyImportedState(newState) {
+        StorageManager.save(newState);
+
+        // Reinitialize the sliding window
+        SlidingWindow.init(ItemManager.getAll(), newState, {
+            onUpdate: handleUpdate,
+            onComplete: handleComplete
+        });
+
+        // Re-sync gamification manager with imported seen count (the best streak belongs to the profile)
+        GamificationManager.init(newState.seen.length, GamificationManager.bestStreak);
+
+        // Update backup reminder tracking
+        const totalRated = newState.seen.length + newState.notSeen.length + (newState.watchlist || []).length;
+        const reminderInterval = config.gamification.backupReminderInterval || 100;
+        lastBackupReminder = Math.floor(totalRated / reminderInterval) * reminderInterval;
+
+        // Re-enable buttons if not complete
+        resumeIfIncomplete();
+        return totalRated;
+    }
+
+    // ===== PROFILES =====
+
+    /**
+     * Open the profile switcher
+     */
+    function openProfiles() {
+        renderProfiles();
+        elements.profileNameInput.value = '';
+        elements.profileOverlay.classList.remove('hidden');
+    }
+
+    function closeProfiles() {
+        elements.profileOverlay.classList.add('hidden');
+    }
+
+    /**
+     * Show the active profile's avatar in the header
+     */
+    function renderProfileButton() {
+        const active = ProfileManager.getActive();
+        elements.profileEmoji.textContent = active.emoji;
+        elements.profileBtn.title = `Profile: ${active.name}`;
+    }
+
+    /**
+     * Render the profile list with switch, rename and delete controls
+     */
+    function renderProfiles() {
+        const activeId = ProfileManager.getActive().id;
+        elements.profileList.innerHTML = '';
+
+        ProfileManager.getProfiles().forEach(profile => {
+            const isActive = profile.id === activeId;
+            const row = document.createElement('div');
+            row.className = 'profile-row' + (isActive ? ' active' : '');
+            row.innerHTML = `
+                <button class="profile-switch" aria-pressed="${isActive}">
+                    <span class="profile-avatar">${escapeHtml(profile.emoji)}</span>
+                    <span class="profile-name">${escapeHtml(profile.name)}</span>
+                    ${isActive ? '<span class="profile-current">Playing</span>' : ''}
+                </button>
+                <button class="profile-action profile-rename" aria-label="Rename ${escapeHtml(profile.name)}" title="Rename">✎</button>
+                ${isActive ? '' : `<button class="profile-action profile-delete" aria-label="Delete ${escapeHtml(profile.name)}" title="Delete">✕</button>`}
+            `;
+            row.querySelector('.profile-switch').addEventListener('click', () => switchProfile(profile.id));
+            row.querySelector('.profile-rename').addEventListener('click', () => renameProfile(profile));
+            row.querySelector('.profile-delete')?.addEventListener('click', () => deleteProfile(profile));
+            elements.profileList.appendChild(row);
+        });
+    }
+
+    /**
+     * Add a profile from the form and switch to it
+     * @param {Event} e
+     */
+    async function handleAddProfile(e) {
+        e.preventDefault();
+        const name = elements.profileNameInput.value;
+        if (!name.trim()) {
+            showToast('Enter a name for the profile', 'error');
+            return;
+        }
+
+        const profile = ProfileManager.create(name, elements.profileAvatarSelect.value);
+        if (!profile) {
+            showToast('A profile with that name already exists', 'error');
+            return;
+        }
+        await switchProfile(profile.id);
+    }
+
+    /**
+     * Save this profile's progress and load another one
+     * @param {string} id
+     */
+    async function switchProfile(id) {
+        closeProfiles();
+        if (id === ProfileManager.getActive().id) return;
+
+        queueStorage(async () => {
+            await StorageManager.close();
+            ProfileManager.setActive(id);
+            deckStarted = false;
+            await startTabSync();
+            await StorageManager.init();
+        });
+        await whenStorageOpen();
+
+        hideStreakDisplay();
+        hideScoreBar();
+        startProfile();
+        resumeIfIncomplete();
+
+        const active = ProfileManager.getActive();
+        showToast(`${active.emoji} Now playing as ${active.name}`, 'success');
+    }
+
+    /**
+     * Ask for a new profile name
+     * @param {Object} profile
+     */
+    function renameProfile(profile) {
+        const name = prompt('Profile name', profile.name);
+        if (name === null) return;
+
+        if (!ProfileManager.update(profile.id, { name })) {
+            showToast('That name is empty or already taken', 'error');
+            return;
+        }
+        renderProfiles();
+        renderProfileButton();
+    }
+
+    /**
+     * Delete a profile and everything saved for it
+     * @param {Object} profile - Any profile except the active one
+     */
+    async function deleteProfile(profile) {
+        if (!confirm(`Delete ${profile.name} and all of their progress? This cannot be undone.`)) return;
+
+        const key = ProfileManager.getStorageKey(profile.id);
+        if (!ProfileManager.remove(profile.id)) return;
+        await StorageManager.deleteStorage(key);
+
+        renderProfiles();
+        showToast(`Deleted ${profile.name}`, 'success');
+    }
+
+    /**
+     * Offer to import into the profile an export was made from
+     * @param {string|null} profileName - From the import report
+     */
+    async function routeImportToProfile(profileName) {
+        const active = ProfileManager.getActive();
+        if (!profileName || profileName.toLowerCase() === active.name.toLowerCase()) return;
+
+        const existing = ProfileManager.findByName(profileName);
+        const question = existing
+            ? `This progress belongs to ${existing.emoji} ${existing.name}. Switch to that profile before importing?`
+            : `This progress belongs to ${profileName}. Create a profile for them and import into it?`;
+        if (!confirm(question)) return;
+
+        const target = existing || ProfileManager.create(profileName, ProfileManager.AVATARS[0]);
+        if (target) {
+            await switchProfile(target.id);
+        }
+    }
+
+    // ===== TAB SYNC =====
+
+    /**
+     * Run a storage open or reopen once the one before it has finished
+     * @param {Function} step - Returns a promise
+     */
+    function queueStorage(step) {
+        storageOpen = storageOpen.catch(() => {}).then(step);
+    }
+
+    /**
+     * Wait until no storage open is left in the queue
+     * @returns {Promise<void>}
+     */
+    async function whenStorageOpen() {
+        let pending;
+        do {
+            pending = storageOpen;
+            await pending;
+        } while (pending !== storageOpen);
+    }
+
+    /**
+     * Open the active profile's storage, after any open already in progress
+     * @param {boolean} reopen - Close it first (to pick up another tab's saves)
+     * @returns {Promise<void>}
+     */
+    function openStorage(reopen) {
+        queueStorage(async () => {
+            if (reopen) await StorageManager.close();
+            await StorageManager.init();
+        });
+        return whenStorageOpen();
+    }
+
+    /**
+     * Join the other tabs open on the active profile (before opening its storage)
+     * @returns {Promise<boolean>} Whether this tab saves progress
+     */
+    async function startTabSync() {
+        const isWriter = await TabSync.start(ProfileManager.getStorageKey(), {
+            onRoleChange: handleTabRoleChange,
+            onState: applyRemoteState,
+            getState: () => (deckStarted ? SlidingWindow.getState() : null),
+            onYield: () => StorageManager.flush()
+        });
+
+        // Starting resets the role without a change event, so apply it here too
+        StorageManager.setReadOnly(!isWriter);
+        elements.readOnlyOverlay.classList.toggle('hidden', isWriter);
+        return isWriter;
+    }
+
+    /**
+     * Switch between saving and read-only when another tab takes over or closes
+     * @param {boolean} isWriter
+     */
+    async function handleTabRoleChange(isWriter) {
+        StorageManager.setReadOnly(!isWriter);
+        elements.readOnlyOverlay.classList.toggle('hidden', isWriter);
+        if (!isWriter) {
+            hideScoreBar();
+            return;
+        }
+
+        // Pick up everything the previous writer saved
+        await openStorage(true);
+        // Startup or a profile switch is still under way and starts the deck itself
+        if (!deckStarted) return;
+        startProfile();
+        resumeIfIncomplete();
+        showToast('Progress is saved from this tab now', 'success');
+    }
+
+    /**
+     * Follow the writer tab's ratings in this read-only tab
+     * @param {Object} state
+     */
+    function applyRemoteState(state) {
+        if (!deckStarted) {
+            earlyRemoteState = state;
+            return;
+        }
+        SlidingWindow.init(ItemManager.getAll(), state, {
+            onUpdate: handleUpdate,
+            onComplete: handleComplete
+        });
+        GamificationManager.syncSeenCount(state.seen.length);
+        resumeIfIncomplete();
+    }
+
+    // ===== IMPORT MERGE =====
+
+    /**
+     * Preview imported progress and ask how to combine it with this device's progress
+     * @param {Object} incoming - Imported state
+     * @param {string|null} warning - Import warning to show once applied
+     */
+    function openMergeDialog(incoming, warning, gamification = null) {
+        pendingImport = { state: incoming, warning, gamification };
+        mergeResolutions = {};
+
+        const itemTypePlural = config.itemTypePlural || 'movies';
+        const localCount = getTotalRated(SlidingWindow.getState());
+        const incomingCount = getTotalRated(incoming);
+        elements.mergeSummary.textContent = `The import has ${incomingCount.toLocaleString()} rated ${itemTypePlural}. This device has ${localCount.toLocaleString()}.`;
+
+        // With nothing on this device there is nothing to merge with
+        const canMerge = localCount > 0;
+        elements.mergeStrategies.classList.toggle('hidden', !canMerge);
+        elements.mergeOverlay.querySelector(`input[value="${canMerge ? 'union' : 'replace'}"]`).checked = true;
+
+        renderMergeDialog();
+        elements.mergeOverlay.classList.remove('hidden');
+    }
+
+    function closeMergeDialog() {
+        elements.mergeOverlay.classList.add('hidden');
+        elements.mergeConflictList.innerHTML = '';
+        pendingImport = null;
+    }
+
+    /**
+     * @param {Object} state
+     * @returns {number}
+     */
+    function getTotalRated(state) {
+        return state.seen.length + state.notSeen.length + (state.watchlist || []).length;
+    }
+
+    function getMergeStrategy() {
+        const checked = elements.mergeOverlay.querySelector('input[name="mergeStrategy"]:checked');
+        return checked ? checked.value : 'union';
+    }
+
+    /**
+     * Merge with the chosen strategy and current conflict choices
+     * @returns {Object} { state, conflicts }
+     */
+    function previewMerge() {
+        return StorageManager.mergeStates(SlidingWindow.getState(), pendingImport.state, getMergeStrategy(), mergeResolutions);
+    }
+
+    /**
+     * Show what the import would change and list the items rated differently on each side
+     */
+    function renderMergeDialog() {
+        if (!pendingImport) return;
+
+        const { state, conflicts } = previewMerge();
+        renderImportPreview(StorageManager.diffStates(SlidingWindow.getState(), state));
+
+        elements.mergeConflicts.classList.toggle('hidden', conflicts.length === 0);
+        elements.mergeConflictList.innerHTML = '';
+        if (conflicts.length === 0) return;
+
+        const itemTypePlural = config.itemTypePlural || 'movies';
+        elements.mergeConflictTitle.textContent = `${conflicts.length.toLocaleString()} ${itemTypePlural} rated differently`;
+
+        conflicts.forEach(conflict => {
+            const item = ItemManager.getById(conflict.id);
+            const choice = mergeResolutions[conflict.id] || 'local';
+
+            const row = document.createElement('div');
+            row.className = 'merge-conflict';
+            row.innerHTML = `
+                <span class="rated-row-title">${escapeHtml(item ? ItemManager.getTitle(item) : String(conflict.id))} <span class="rated-row-year">${item ? ItemManager.getSubtitle(item) : ''}</span></span>
+                <div class="merge-choices"></div>
+            `;
+
+            const choices = row.querySelector('.merge-choices');
+            [['local', 'Mine'], ['incoming', 'Imported']].forEach(([side, label]) => {
+                const btn = document.createElement('button');
+                btn.className = `merge-choice rating-${conflict[side]}` + (choice === side ? ' active' : '');
+                btn.textContent = `${label}: ${getRatingLabel(conflict[side])}`;
+                btn.addEventListener('click', () => {
+                    mergeResolutions[conflict.id] = side;
+                    renderMergeDialog();
+                });
+                choices.appendChild(btn);
+            });
+
+            elements.mergeConflictList.appendChild(row);
+        });
+    }
+
+    /**
+     * Pick the same side for every conflict
+     * @param {string} side - 'local' or 'incoming'
+     */
+    function resolveAllConflicts(side) {
+        previewMerge().conflicts.forEach(conflict => {
+            mergeResolutions[conflict.id] = side;
+        });
+        renderMergeDialog();
+    }
+
+    /**
+     * Summarize the ratings an import would add, change and remove
+     * @param {Object} diff - From StorageManager.diffStates
+     */
+    function renderImportPreview(diff) {
+        const removedClass = diff.removed.length > 0 ? ' import-removed' : '';
+        elements.importTotals.innerHTML = `
+            <span class="import-total"><strong>+${diff.added.length.toLocaleString()}</strong> added</span>
+            <span class="import-total"><strong>${diff.changed.length.toLocaleString()}</strong> changed</span>
+            <span class="import-total${removedClass}"><strong>−${diff.removed.length.toLocaleString()}</strong> removed</span>
+        `;
+
+        const changedIds = diff.changed.map(change => change.id);
+        if (diff.added.length + changedIds.length + diff.removed.length === 0) {
+            elements.importEras.innerHTML = '';
+            elements.importSamples.innerHTML = '<p class="section-desc">No ratings will change.</p>';
+            return;
+        }
+
+        // Per-era breakdown, only for eras the import touches
+        const added = ItemManager.calculateEraStats(diff.added);
+        const changed = ItemManager.calculateEraStats(changedIds);
+        const removed = ItemManager.calculateEraStats(diff.removed);
+        elements.importEras.innerHTML = config.eras.groups
+            .filter(era => added[era.id] || changed[era.id] || removed[era.id])
+            .map(era => `
+                <div class="import-era">
+                    <span class="import-era-name">${escapeHtml(era.name)}</span>
+                    <span class="import-era-counts">+${added[era.id]} · ${changed[era.id]} · −${removed[era.id]}</span>
+                </div>
+            `).join('');
+
+        elements.importSamples.innerHTML = [
+            ['Added', diff.added],
+            ['Changed', changedIds],
+            ['Removed', diff.removed]
+        ]
+            .filter(([, ids]) => ids.length > 0)
+            .map(([label, ids]) => `<p class="import-sample"><strong>${label}:</strong> ${escapeHtml(getSampleTitles(ids))}</p>`)
+            .join('');
+    }
+
+    /**
+     * List a few titles from a set of IDs
+     * @param {Array} ids
+     * @returns {string} e.g. "Heat, Tremors, Alien and 12 more"
+     */
+    function getSampleTitles(ids) {
+        const SAMPLE_SIZE = 3;
+        const titles = ids.slice(0, SAMPLE_SIZE).map(id => {
+            const item = ItemManager.getById(id);
+            return item ? ItemManager.getTitle(item) : String(id);
+        });
+        const more = ids.length - titles.length;
+        return more > 0 ? `${titles.join(', ')} and ${more.toLocaleString()} more` : titles.join(', ');
+    }
+
+    /**
+     * Save the merged progress
+     */
+    async function confirmMerge() {
+        if (!pendingImport) return;
+
+        const strategy = getMergeStrategy();
+        const { state } = previewMerge();
+        const { warning, gamification } = pendingImport;
+        closeMergeDialog();
+
+        await StorageManager.createRestorePoint(SlidingWindow.getState(), 'import');
+        const totalRated = applyImportedState(state);
+
+        // Backup files also carry the best streak; keep whichever is higher
+        if (gamification && gamification.bestStreak > GamificationManager.bestStreak) {
+            GamificationManager.init(state.seen.length, gamification.bestStreak);
+            ProfileManager.saveSettings({ gamification: GamificationManager.getState() });
+        }
+        const message = strategy === 'replace'
+            ? `Imported ${totalRated} ratings!`
+            : `Merged: ${totalRated} ratings in total`;
+        showToast(warning ? `${message} ${warning}` : message, warning ? 'error' : 'success');
+    }
+
+    /**
+     * Describe anything in an import that could not be restored
+     * @param {Object} importInfo - Report from StorageManager.importCompressed or readBackupFile
+     * @returns {string|null} Warning message, or null if everything matched
+     */
+    function getImportWarning(importInfo) {
+        if (!importInfo) return null;
+        if (importInfo.migrationError) return importInfo.migrationError;
+        if (!importInfo.missing) return null;
+
+        const itemTypePlural = config.itemTypePlural || 'movies';
+        const source = importInfo.version === 'file' ? 'backup file' : 'code';
+        return `${importInfo.missing.toLocaleString()} ${itemTypePlural} from this ${source} are no longer in the list and were skipped.`;
+    }
+
+    // ===== SHARE FUNCTION =====
+
+    function shareResults() {
+        const progress = SlidingWindow.getProgress();
+        const percentSeen = progress.current > 0
+            ? Math.round((progress.seen / progress.current) * 100)
+            : 0;
+
+        // Calculate era breakdown
+        const state = SlidingWindow.getState();
         const eraStats = calculateEraStats(state.seen);
+        const stats = StorageManager.getStats(state);
         const bestEra = Object.entries(eraStats)
             .sort((a, b) => b[1] - a[1])[0];
 
@@ -887,6 +2454,7 @@
         const totalCount = config.data.totalCount.toLocaleString();
         const positiveLabel = config.actions.positive.pastTense || 'seen';
         const negativeLabel = config.actions.negative.pastTense || 'not seen';
+        const watchlistLabel = config.actions.watchlist.label || 'Want to Watch';
         const hashtag = config.sharing.hashtag || '#5000MovieChallenge';
         const shareUrl = ConfigLoader.getShareUrl();
 
@@ -894,8 +2462,9 @@
 
 ✅ ${positiveLabel.charAt(0).toUpperCase() + positiveLabel.slice(1)}: ${progress.seen.toLocaleString()} ${itemTypePlural} (${percentSeen}%)
 ❌ ${negativeLabel.charAt(0).toUpperCase() + negativeLabel.slice(1)}: ${progress.notSeen.toLocaleString()}
+🔖 ${watchlistLabel}: ${progress.watchlist.toLocaleString()}
 📊 Progress: ${progress.current.toLocaleString()} / ${totalCount}
-${bestEra ? `🏆 Favorite era: ${bestEra[0]} (${bestEra[1]} ${positiveLabel})` : ''}
+${stats.scoredCount > 0 ? `⭐ My average score: ${stats.averageScore}/10\n` : ''}${bestEra ? `🏆 Favorite era: ${bestEra[0]} (${bestEra[1]} ${positiveLabel})` : ''}
 
 Try it yourself: ${shareUrl}
 
@@ -1013,29 +2582,21 @@ ${hashtag}`;
     /**
      * Open the backup modal and generate QR code
      */
-    function openBackupModal() {
+    async function openBackupModal() {
         const state = SlidingWindow.getState();
-        const totalRated = state.seen.length + state.notSeen.length;
+        const totalRated = state.seen.length + state.notSeen.length + state.watchlist.length;
+
+        const protection = await chooseExportPassphrase();
+        if (!protection) return;
+        backupPassphrase = protection.passphrase;
 
         // Update progress count
         elements.backupProgressCount.textContent = totalRated.toLocaleString();
 
         // Generate share URL
-        const shareURL = StorageManager.generateShareURL(state);
+        const shareURL = await StorageManager.generateShareURL(state, { passphrase: backupPassphrase });
 
-        // Clear previous QR code
-        elements.qrCode.innerHTML = '';
-
-        // Generate QR code
-        try {
-            const qr = qrcode(0, 'L');
-            qr.addData(shareURL);
-            qr.make();
-            elements.qrCode.innerHTML = qr.createImgTag(4, 8);
-        } catch (e) {
-            console.error('QR generation failed:', e);
-            elements.qrCode.innerHTML = '<p style="color: #666; font-size: 0.8rem;">QR code unavailable</p>';
-        }
+        renderBackupQR(shareURL);
 
         // Store URL for sharing buttons
         elements.backupModal.dataset.shareUrl = shareURL;
@@ -1049,6 +2610,73 @@ ${hashtag}`;
      */
     function closeBackupModal() {
         elements.backupModal.classList.add('hidden');
+        backupPassphrase = null;
+        clearInterval(qrPartTimer);
+        qrPartTimer = null;
+    }
+
+    /**
+     * Show the share link as a QR code, or as numbered QR codes that cycle
+     * automatically when it's too long for one
+     * @param {string} shareURL
+     */
+    function renderBackupQR(shareURL) {
+        clearInterval(qrPartTimer);
+        qrPartTimer = null;
+        elements.qrPartLabel.classList.add('hidden');
+        elements.qrHint.textContent = 'Screenshot this QR code to save';
+
+        const single = createQRImage(shareURL);
+        if (single) {
+            elements.qrCode.innerHTML = single;
+            return;
+        }
+
+        const images = StorageManager.splitShareURL(shareURL, config.sharing.qrPartSize).map(createQRImage);
+        if (images.some(image => !image)) {
+            console.error('QR generation failed for', shareURL.length, 'characters');
+            elements.qrCode.innerHTML = '<p style="color: #666; font-size: 0.8rem;">QR code unavailable</p>';
+            return;
+        }
+
+        let current = 0;
+        const showPart = () => {
+            elements.qrCode.innerHTML = images[current];
+            elements.qrPartLabel.textContent = `Part ${current + 1} of ${images.length}`;
+            current = (current + 1) % images.length;
+        };
+        elements.qrHint.textContent = 'Scan or screenshot every part, in any order';
+        elements.qrPartLabel.classList.remove('hidden');
+        showPart();
+        qrPartTimer = setInterval(showPart, config.sharing.qrPartInterval);
+    }
+
+    /**
+     * Build a QR code image
+     * @param {string} text
+     * @returns {string|null} <img> tag, or null if the text doesn't fit in a QR code
+     */
+    function createQRImage(text) {
+        try {
+            const qr = qrcode(0, 'L');
+            qr.addData(text);
+            qr.make();
+            return qr.createImgTag(4, 8);
+        } catch (e) {
+            return null;
+        }
+    }
+
+    /**
+     * Report progress collecting the parts of a multi-part code
+     * @param {Object} progress - From StorageManager.addCodePart
+     */
+    function showPartProgress(progress) {
+        if (progress.corrupted) {
+            showToast("Those parts don't fit together. Please scan them again.", 'error');
+        } else if (!progress.code) {
+            showToast(`${progress.received} of ${progress.total} parts received. Scan the rest, in any order.`, 'success');
+        }
     }
 
     /**
@@ -1083,47 +2711,254 @@ ${hashtag}`;
     /**
      * Download as file
      */
-    function downloadAsFile() {
+    async function downloadAsFile() {
         const state = SlidingWindow.getState();
         const shareURL = elements.backupModal.dataset.shareUrl;
-        const code = StorageManager.exportCompressed(state);
-        const totalRated = state.seen.length + state.notSeen.length;
+        const totalRated = state.seen.length + state.notSeen.length + state.watchlist.length;
 
         const challengeName = config.name || '5000 Movie Challenge';
         const itemTypePlural = config.itemTypePlural || 'Movies';
         const positiveLabel = config.actions.positive.pastTense || 'Seen';
         const negativeLabel = config.actions.negative.pastTense || 'Not Seen';
+        const watchlistLabel = config.actions.watchlist.label || 'Want to Watch';
         const baseUrl = ConfigLoader.getShareUrl();
+        const profile = ProfileManager.getActive();
 
-        const content = `🎬 ${challengeName} - Progress Backup
+        const header = `🎬 ${challengeName} - Progress Backup
 ========================================
 
+Profile: ${profile.emoji} ${profile.name}${backupPassphrase ? '\n🔒 Protected with a passphrase - you will need it to restore' : ''}
 Total ${itemTypePlural.charAt(0).toUpperCase() + itemTypePlural.slice(1)} Rated: ${totalRated}
 ${positiveLabel.charAt(0).toUpperCase() + positiveLabel.slice(1)}: ${state.seen.length}
 ${negativeLabel.charAt(0).toUpperCase() + negativeLabel.slice(1)}: ${state.notSeen.length}
+${watchlistLabel}: ${state.watchlist.length}
 Date: ${new Date().toLocaleDateString()}
 
-OPTION 1: Click this link to restore
+TO RESTORE: Drop this file on the app, or choose it in Settings → Backup & Sync → From File
+OR: Click this link
 ${shareURL}
 
-OPTION 2: Paste this code in the app
-${code}
-
 ========================================
 ${baseUrl}`;
 
-        const blob = new Blob([content], { type: 'text/plain' });
+        const content = await StorageManager.createBackupFile(state, {
+            header: header.split('\n'),
+            gamification: GamificationManager.getState(),
+            profile: { name: profile.name, emoji: profile.emoji },
+            passphrase: backupPassphrase
+        });
+        saveFile(content, getExportFileName('backup', 'json'), 'application/json');
+        showToast('File downloaded!', 'success');
+    }
+
+    /**
+     * Name a downloaded file after the challenge, the active profile and today's date
+     * @param {string} kind - e.g. 'backup', 'letterboxd'
+     * @param {string} extension
+     * @returns {string} e.g. "movie-challenge-backup-player-1-2024-05-01.txt"
+     */
+    function getExportFileName(kind, extension) {
+        const filePrefix = (config.itemType || 'movie').toLowerCase();
+        const profileSlug = ProfileManager.getActive().name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+        return `${filePrefix}-challenge-${kind}-${profileSlug ? profileSlug + '-' : ''}${new Date().toISOString().split('T')[0]}.${extension}`;
+    }
+
+    /**
+     * Download text as a file
+     * @param {string} content
+     * @param {string} fileName
+     * @param {string} type - MIME type
+     */
+    function saveFile(content, fileName, type) {
+        const blob = new Blob([content], { type });
         const url = URL.createObjectURL(blob);
         const a = document.createElement('a');
         a.href = url;
-        const filePrefix = (config.itemType || 'movie').toLowerCase();
-        a.download = `${filePrefix}-challenge-backup-${new Date().toISOString().split('T')[0]}.txt`;
+        a.download = fileName;
         document.body.appendChild(a);
         a.click();
         document.body.removeChild(a);
         URL.revokeObjectURL(url);
+    }
 
-        showToast('File downloaded!', 'success');
+    // ===== FILE IMPORT =====
+
+    /**
+     * Restore from chosen or dropped files: a backup file, or images of backup QR codes
+     * @param {Array<File>} files
+     */
+    async function handleImportFiles(files) {
+        // Nothing can be changed while another tab is saving
+        if (!elements.readOnlyOverlay.classList.contains('hidden')) return;
+
+        const backup = files.find(file => !file.type.startsWith('image/'));
+        if (backup) {
+            await handleBackupFile(backup);
+            return;
+        }
+        const images = files.filter(file => file.type.startsWith('image/'));
+        if (images.length > 0) await handleQRImages(images);
+    }
+
+    /**
+     * Restore from a backup file (see downloadAsFile)
+     * @param {File} file
+     */
+    async function handleBackupFile(file) {
+        const text = await file.text();
+
+        // Backups from before the JSON format are text files with a restore link inside
+        if (!text.trim().startsWith('{')) {
+            const link = text.match(/\S*[?&]p=\S+/);
+            if (link) {
+                await importCode(link[0]);
+            } else {
+                showToast("That file isn't a backup", 'error');
+            }
+            return;
+        }
+
+        const { imported, gamification, error } = await StorageManager.readBackupFile(text, { getPassphrase: promptImportPassphrase });
+        if (!imported) {
+            if (error) showToast(error, 'error');
+            return;
+        }
+
+        // The import report is not part of the saved state
+        const { importInfo, ...newState } = imported;
+        closeModal();
+
+        // Nothing is saved until the import is confirmed
+        await routeImportToProfile(importInfo.profile);
+        openMergeDialog(newState, getImportWarning(importInfo), gamification);
+    }
+
+    // ===== QR IMAGE IMPORT =====
+
+    /**
+     * Restore from screenshots or photos of backup QR codes (all parts of a multi-part code at once)
+     * @param {Array<File>} files
+     */
+    async function handleQRImages(files) {
+        const texts = [];
+        for (const file of files) {
+            let text = null;
+            try {
+                text = await readQRImage(file);
+            } catch (error) {
+                console.error('Failed to read image:', error);
+            }
+            if (text) texts.push(text);
+        }
+
+        if (texts.length === 0) {
+            showToast(files.length > 1 ? 'No QR codes found in those images' : 'No QR code found in that image', 'error');
+            return;
+        }
+        await importCode(texts.join('\n'));
+    }
+
+    /**
+     * Find and decode a QR code in an image, entirely in the browser
+     * @param {File} file
+     * @returns {Promise<string|null>} The QR code's text, or null if there is none
+     */
+    async function readQRImage(file) {
+        const MAX_SIZE = 2000; // Scale big photos down to keep decoding quick
+        const bitmap = await createImageBitmap(file);
+        const scale = Math.min(1, MAX_SIZE / Math.max(bitmap.width, bitmap.height));
+
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.round(bitmap.width * scale);
+        canvas.height = Math.round(bitmap.height * scale);
+        const context = canvas.getContext('2d');
+        context.drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+        bitmap.close();
+
+        const { data } = context.getImageData(0, 0, canvas.width, canvas.height);
+        const result = jsQR(data, canvas.width, canvas.height);
+        return result ? result.data : null;
+    }
+
+    // ===== PASSPHRASE PROTECTION =====
+
+    /**
+     * Ask for a passphrase in a modal
+     * @param {Object} options
+     * @param {string} options.title
+     * @param {string} options.message
+     * @param {boolean} [options.confirm=false] - Ask twice (when setting a new passphrase)
+     * @returns {Promise<string|null>} The passphrase, or null if cancelled
+     */
+    function askPassphrase({ title, message, confirm = false }) {
+        elements.passphraseTitle.textContent = title;
+        elements.passphraseMessage.textContent = message;
+        elements.passphraseInput.value = '';
+        elements.passphraseConfirmInput.value = '';
+        elements.passphraseConfirmInput.classList.toggle('hidden', !confirm);
+        elements.passphraseOverlay.classList.remove('hidden');
+        elements.passphraseInput.focus();
+
+        // Bound per prompt: the prompt can open before setupEventListeners (shared links)
+        return new Promise(resolve => {
+            const finish = (passphrase) => {
+                elements.passphraseOverlay.classList.add('hidden');
+                elements.passphraseForm.onsubmit = null;
+                elements.cancelPassphraseBtn.onclick = null;
+                elements.passphraseOverlay.onkeydown = null;
+                resolve(passphrase);
+            };
+
+            elements.passphraseForm.onsubmit = (e) => {
+                e.preventDefault();
+                const passphrase = elements.passphraseInput.value;
+                if (!passphrase) return;
+                if (confirm && passphrase !== elements.passphraseConfirmInput.value) {
+                    elements.passphraseMessage.textContent = "The passphrases don't match. Try again.";
+                    elements.passphraseConfirmInput.value = '';
+                    elements.passphraseConfirmInput.focus();
+                    return;
+                }
+                finish(passphrase);
+            };
+            elements.cancelPassphraseBtn.onclick = () => finish(null);
+            elements.passphraseOverlay.onkeydown = (e) => {
+                if (e.key !== 'Escape') return;
+                e.stopPropagation(); // Don't also close whatever is open underneath
+                finish(null);
+            };
+        });
+    }
+
+    /**
+     * Ask for a new passphrase if protection is switched on in settings
+     * @returns {Promise<Object|null>} { passphrase } (null passphrase when protection is off), or null if cancelled
+     */
+    async function chooseExportPassphrase() {
+        if (!elements.passphraseToggle.checked || !StorageManager.isEncryptionSupported()) {
+            return { passphrase: null };
+        }
+
+        const passphrase = await askPassphrase({
+            title: 'Choose a Passphrase',
+            message: "Anyone with the code or link will need this passphrase to open it. It can't be recovered if you forget it.",
+            confirm: true
+        });
+        return passphrase === null ? null : { passphrase };
+    }
+
+    /**
+     * Ask for the passphrase of an encrypted import (see StorageManager.importCompressed)
+     * @param {Object} attempt - { retry: true after a wrong passphrase }
+     * @returns {Promise<string|null>}
+     */
+    function promptImportPassphrase({ retry }) {
+        return askPassphrase({
+            title: 'Protected Progress',
+            message: retry
+                ? 'That passphrase is wrong, or the code is damaged. Try again.'
+                : 'This progress is protected with a passphrase. Enter it to import.'
+        });
     }
 
     /**
@@ -1175,16 +3010,192 @@ ${baseUrl}`;
         }, 3000);
     }
 
+    // ===== RESTORE POINTS =====
+
+    /**
+     * Open the list of restore points
+     */
+    async function openRestorePoints() {
+        elements.restoreList.innerHTML = '';
+        elements.restoreOverlay.classList.remove('hidden');
+        renderRestorePoints(await StorageManager.listRestorePoints());
+    }
+
+    function closeRestorePoints() {
+        elements.restoreOverlay.classList.add('hidden');
+    }
+
+    /**
+     * Describe why a restore point was made
+     * @param {string} reason
+     * @returns {string}
+     */
+    function getRestoreReasonLabel(reason) {
+        const every = config.storage.restorePoints ? config.storage.restorePoints.everyRatings : 0;
+        const labels = {
+            reset: 'Before reset',
+            import: 'Before import',
+            restore: 'Before restoring',
+            daily: 'Daily',
+            ratings: `Every ${every} ratings`
+        };
+        return labels[reason] || reason;
+    }
+
+    /**
+     * Render restore points with their counts and a restore button
+     * @param {Array} points - From StorageManager.listRestorePoints
+     */
+    function renderRestorePoints(points) {
+        if (points.length === 0) {
+            elements.restoreList.innerHTML = '<p class="section-desc">No restore points yet.</p>';
+            return;
+        }
+
+        const positiveLabel = config.actions.positive.pastTense || 'seen';
+        const negativeLabel = config.actions.negative.pastTense || 'not seen';
+        const watchlistLabel = config.actions.watchlist.pastTense || 'on watchlist';
+
+        elements.restoreList.innerHTML = '';
+        points.forEach(point => {
+            const row = document.createElement('div');
+            row.className = 'restore-row';
+            row.innerHTML = `
+                <div class="restore-info">
+                    <div class="restore-time">${new Date(point.createdAt).toLocaleString()}</div>
+                    <div class="restore-meta">${escapeHtml(getRestoreReasonLabel(point.reason))} · ${point.counts.seen.toLocaleString()} ${escapeHtml(positiveLabel)} · ${point.counts.notSeen.toLocaleString()} ${escapeHtml(negativeLabel)} · ${point.counts.watchlist.toLocaleString()} ${escapeHtml(watchlistLabel)}</div>
+                </div>
+                <button class="btn btn-secondary btn-small">Restore</button>
+            `;
+            row.querySelector('button').addEventListener('click', () => restoreFromPoint(point.id));
+            elements.restoreList.appendChild(row);
+        });
+    }
+
+    /**
+     * Replace the current progress with a restore point
+     * @param {string} id
+     */
+    async function restoreFromPoint(id) {
+        const state = await StorageManager.getRestorePoint(id);
+        if (!state) {
+            showToast('That restore point could not be read', 'error');
+            return;
+        }
+
+        // Snapshot the current progress first so the restore can be undone too
+        await StorageManager.createRestorePoint(SlidingWindow.getState(), 'restore');
+        closeRestorePoints();
+
+        const totalRated = applyImportedState(state);
+        showToast(`Restored ${totalRated.toLocaleString()} ratings`, 'success');
+    }
+
+    // ===== WATCH HISTORY IMPORT =====
+
+    /**
+     * Read a Letterboxd, IMDb or Trakt export chosen in settings
+     * @param {Event} e - File input change event
+     */
+    async function handleHistoryFile(e) {
+        const file = e.target.files[0];
+        e.target.value = ''; // Allow choosing the same file again
+        if (!file) return;
+
+        let parsed = null;
+        try {
+            parsed = HistoryImport.parse(await file.text());
+        } catch (error) {
+            console.error('Failed to read history file:', error);
+        }
+        if (!parsed || parsed.entries.length === 0) {
+            showToast('No movies found. Use a Letterboxd or IMDb CSV, or a Trakt JSON export.', 'error');
+            return;
+        }
+
+        closeModal();
+        historyImport = { ...HistoryImport.match(parsed.entries), source: parsed.source, choices: {} };
+
+        // Everything matched confidently - go straight to the import preview
+        if (historyImport.review.length === 0) {
+            continueHistoryImport();
+            return;
+        }
+        renderHistoryReview();
+        elements.historyOverlay.classList.remove('hidden');
+    }
+
+    function closeHistoryReview() {
+        elements.historyOverlay.classList.add('hidden');
+        historyImport = null;
+    }
+
+    /**
+     * List the rows that weren't matched confidently, with their candidates to pick from
+     */
+    function renderHistoryReview() {
+        const { matched, review, source, choices } = historyImport;
+        const sourceNames = { letterboxd: 'Letterboxd', imdb: 'IMDb', trakt: 'Trakt' };
+        const itemTypePlural = config.itemTypePlural || 'movies';
+        elements.historySummary.textContent = `${matched.length.toLocaleString()} of ${(matched.length + review.length).toLocaleString()} ${itemTypePlural} from ${sourceNames[source]} matched. Pick the right one for the rest, or leave them skipped.`;
+
+        elements.historyReviewList.innerHTML = '';
+        review.forEach(({ entry, candidates }, index) => {
+            const row = document.createElement('div');
+            row.className = 'merge-conflict';
+            row.innerHTML = `
+                <span class="rated-row-title">${escapeHtml(entry.title || entry.tmdbId || entry.imdbId)} <span class="rated-row-year">${entry.year || ''}</span></span>
+                ${candidates.length === 0 ? '<span class="history-source">No match in the list</span>' : '<div class="merge-choices"></div>'}
+            `;
+
+            const choiceList = row.querySelector('.merge-choices');
+            if (choiceList) {
+                [...candidates.map(candidate => candidate.id), null].forEach(id => {
+                    const item = id === null ? null : ItemManager.getById(id);
+                    const btn = document.createElement('button');
+                    btn.className = 'merge-choice' + ((choices[index] || null) === id ? ' active' : '');
+                    btn.textContent = item ? `${ItemManager.getTitle(item)} (${ItemManager.getSubtitle(item)})` : 'Skip';
+                    btn.addEventListener('click', () => {
+                        choices[index] = id;
+                        renderHistoryReview();
+                    });
+                    choiceList.appendChild(btn);
+                });
+            }
+
+            elements.historyReviewList.appendChild(row);
+        });
+    }
+
+    /**
+     * Preview marking the matched (and picked) movies as seen
+     */
+    function continueHistoryImport() {
+        const { matched, review, choices } = historyImport;
+        const picked = review
+            .map(({ entry }, index) => ({ entry, id: choices[index] }))
+            .filter(match => match.id !== undefined && match.id !== null);
+        const matches = [...matched, ...picked];
+        closeHistoryReview();
+
+        if (matches.length === 0) {
+            showToast('Nothing to import', 'error');
+            return;
+        }
+        // Nothing is saved until the import is confirmed
+        openMergeDialog(HistoryImport.toState(matches), null);
+    }
+
     // ===== RESET FUNCTION =====
 
-    function handleReset() {
-        if (confirm('Reset all progress? This cannot be undone.')) {
+    async function handleReset() {
+        if (confirm('Reset all progress? A restore point is saved first, so you can undo this from Restore Points in the menu.')) {
+            await StorageManager.createRestorePoint(SlidingWindow.getState(), 'reset');
             StorageManager.reset();
             SlidingWindow.reset();
             GamificationManager.init(0, 0); // Reset gamification state
-            elements.completionState.classList.add('hidden');
-            elements.seenBtn.disabled = false;
-            elements.skipBtn.disabled = false;
+            ProfileManager.saveSettings({ gamification: null });
+            resumeIfIncomplete();
             showToast('Progress reset', 'success');
         }
     }
@@ -1194,14 +3205,60 @@ ${baseUrl}`;
      * @param {KeyboardEvent} e
      */
     function handleKeyboard(e) {
-        // Ignore if typing in an input
-        if (e.target.tagName === 'INPUT' || e.target.tagName === 'TEXTAREA') return;
+        // Ignore if typing in an input or choosing from a select
+        if (e.target.tagName === 'INPUT' || e.target.tagName === 'TEXTAREA' || e.target.tagName === 'SELECT') return;
+
+        // Nothing can be changed while another tab is saving
+        if (!elements.readOnlyOverlay.classList.contains('hidden')) return;
+
+        // The passphrase prompt handles its own keys
+        if (!elements.passphraseOverlay.classList.contains('hidden')) return;
 
         // Close modal on Escape
         if (e.key === 'Escape' && !elements.modalOverlay.classList.contains('hidden')) {
             closeModal();
             return;
         }
+        if (!elements.eraPickerOverlay.classList.contains('hidden')) {
+            if (e.key === 'Escape') closeEraPicker();
+            return;
+        }
+        if (!elements.ratingEditorOverlay.classList.contains('hidden')) {
+            if (e.key === 'Escape') closeRatingEditor();
+            return;
+        }
+        if (!elements.mergeOverlay.classList.contains('hidden')) {
+            if (e.key === 'Escape') closeMergeDialog();
+            return;
+        }
+        if (!elements.searchOverlay.classList.contains('hidden')) {
+            if (e.key === 'Escape') closeSearch();
+            return;
+        }
+        if (!elements.profileOverlay.classList.contains('hidden')) {
+            if (e.key === 'Escape') closeProfiles();
+            return;
+        }
+        if (!elements.restoreOverlay.classList.contains('hidden')) {
+            if (e.key === 'Escape') closeRestorePoints();
+            return;
+        }
+        if (!elements.historyOverlay.classList.contains('hidden')) {
+            if (e.key === 'Escape') closeHistoryReview();
+            return;
+        }
+        if (!elements.reviewOverlay.classList.contains('hidden')) {
+            // Keep swipe shortcuts from rating the card hidden behind the review screen
+            if (e.key === 'Escape') closeReview();
+            return;
+        }
+
+        // Number keys score the last seen item while the score bar is open (0 = 10)
+        if (scoreTargetId !== null && /^[0-9]$/.test(e.key)) {
+            e.preventDefault();
+            applyScore(e.key === '0' ? 10 : parseInt(e.key, 10));
+            return;
+        }
 
         switch (e.key) {
             case 'ArrowRight':
@@ -1216,30 +3273,65 @@ ${baseUrl}`;
                 e.preventDefault();
                 animateButtonSwipe('left');
                 break;
+            case 'ArrowUp':
+            case 'w':
+            case 'W':
+                e.preventDefault();
+                animateButtonSwipe('up');
+                break;
+            case 'ArrowDown':
+            case 's':
+            case 'S':
+            case '?':
+                e.preventDefault();
+                animateButtonSwipe('down');
+                break;
             case 'z':
             case 'Z':
                 e.preventDefault();
-                if (!elements.undoBtn.disabled) {
-                    SlidingWindow.undo();
+                // Shift+Z redoes, plain Z undoes
+                if (e.shiftKey) {
+                    performRedo();
+                } else if (!elements.undoBtn.disabled) {
+                    performUndo();
                 }
                 break;
+            case 'y':
+            case 'Y':
+                e.preventDefault();
+                performRedo();
+                break;
+            case '/':
+                e.preventDefault();
+                openSearch();
+                break;
         }
     }
 
     /**
      * Animate swipe from button click
-     * @param {string} direction - 'left' or 'right'
+     * @param {string} direction - 'left', 'right', 'up' or 'down'
      */
     function animateButtonSwipe(direction) {
         const topCard = elements.cardStack.firstElementChild;
         if (!topCard || SlidingWindow.isComplete()) return;
 
-        topCard.classList.add(direction === 'right' ? 'swipe-right' : 'swipe-left');
+        topCard.classList.add(`swipe-${direction}`);
+
+        // Streak before this rating, kept on its history entry for undo
+        const streak = GamificationManager.currentStreak;
 
         // Play audio and track gamification
         if (direction === 'right') {
             AudioManager.playSeenSound();
             handleSeenAction();
+        } else if (direction === 'up') {
+            AudioManager.playSkipSound();
+            handleWatchlistAction();
+        } else if (direction === 'down') {
+            // Deferring is neutral: it neither builds nor breaks a streak
+            AudioManager.playDeferSound();
+            hideScoreBar();
         } else {
             AudioManager.playSkipSound();
             handleSkipAction();
@@ -1247,9 +3339,13 @@ ${baseUrl}`;
 
         setTimeout(() => {
             if (direction === 'right') {
-                SlidingWindow.markSeen();
+                commitSeen(streak);
+            } else if (direction === 'up') {
+                SlidingWindow.markWatchlist(streak);
+            } else if (direction === 'down') {
+                SlidingWindow.markDeferred();
             } else {
-                SlidingWindow.markNotSeen();
+                SlidingWindow.markNotSeen(streak);
             }
         }, 300);
     }
@@ -74,6 +74,14 @@ const AudioManager = (function () {
         return isEnabled;
     }
 
+    /**
+     * Turn audio on or off (restores a saved preference)
+     */
+    function setEnabled(enabled) {
+        isEnabled = !!enabled;
+        return isEnabled;
+    }
+
     /**
      * Create a simple oscillator sound
      */
@@ -163,6 +171,18 @@ const AudioManager = (function () {
         playNoise(0.08, 0.1);
     }
 
+    /**
+     * "Not sure" sound (neutral two-note blip)
+     */
+    function playDeferSound() {
+        if (!isEnabled) return;
+        ensureReady();
+        if (!audioContext) return;
+
+        playTone(440, 0.08, 'triangle', 0.2);  // A4
+        setTimeout(() => playTone(440, 0.08, 'triangle', 0.15), 90);
+    }
+
     /**
      * Undo sound (rewind effect)
      */
@@ -245,9 +265,11 @@ const AudioManager = (function () {
         init,
         resume,
         toggle,
+        setEnabled,
         isEnabled: () => isEnabled,
         playSeenSound,
         playSkipSound,
+        playDeferSound,
         playUndoSound,
         playDecadeTransition,
         playMilestoneSound,
@@ -53,21 +53,26 @@ const ConfigLoader = (function () {
         actions: {
             positive: { label: "Yes", pastTense: "completed", color: "#00ff9d", swipeIndicator: "YES" },
             negative: { label: "No", pastTense: "skipped", color: "#ff0055", swipeIndicator: "NO" },
+            watchlist: { label: "Later", pastTense: "saved for later", color: "#ffb800", swipeIndicator: "LATER" },
         },
         storage: {
             key: "challenge_progress",
             debounceMs: 500,
             maxHistorySize: 100,
+            restorePoints: { max: 10, everyRatings: 100 },
         },
         sharing: {
             hashtag: "#Challenge",
             url: null,
+            qrPartSize: 600,
+            qrPartInterval: 900,
         },
         ui: {
             windowSize: 5,
             preloadAhead: 3,
             swipeThreshold: 100,
             rotationFactor: 0.1,
+            deferDistance: 20,
         },
     };
 
@@ -10,6 +10,8 @@ const ItemManager = (function () {
 
     let items = [];
     let itemsById = new Map();
+    let searchIndex = null;          // Normalized titles, built on first search
+    let fingerprint = null;          // Hash of the item list, built on first use
     let initialized = false;
 
     /**
@@ -28,6 +30,8 @@ const ItemManager = (function () {
         items.forEach(item => {
             itemsById.set(item[idField], item);
         });
+        searchIndex = null;
+        fingerprint = null;
 
         initialized = true;
 
@@ -217,6 +221,150 @@ const ItemManager = (function () {
         return stats;
     }
 
+    /**
+     * Short fingerprint of the item list (count + FNV-1a hash of the IDs in order)
+     * Changes whenever items are added, removed or re-sorted.
+     * @returns {string} e.g. "4987-1x2k9f3"
+     */
+    function getFingerprint() {
+        if (!initialized) init();
+        if (fingerprint) return fingerprint;
+
+        let hash = 0x811c9dc5;
+        const text = items.map(getId).join(',');
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193) >>> 0;
+        }
+        fingerprint = `${items.length}-${hash.toString(36)}`;
+        return fingerprint;
+    }
+
+    /**
+     * Normalize text for matching: lowercase, no accents, punctuation as spaces
+     * @param {string} text
+     * @returns {string} e.g. "Amélie (2001)" -> "amelie 2001"
+     */
+    function normalizeText(text) {
+        return String(text || '')
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .toLowerCase()
+            .replace(/&/g, ' and ')
+            .replace(/['’]/g, '')
+            .replace(/[^a-z0-9]+/g, ' ')
+            .trim();
+    }
+
+    /**
+     * Edit distance between two words (swapped letters count once), giving up once it exceeds max
+     * @param {string} a
+     * @param {string} b
+     * @param {number} max
+     * @returns {number} Distance, or max + 1 if further apart
+     */
+    function editDistance(a, b, max) {
+        if (Math.abs(a.length - b.length) > max) return max + 1;
+
+        let beforePrevious = [];
+        let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+        for (let i = 1; i <= a.length; i++) {
+            const current = [i];
+            let rowMin = i;
+            for (let j = 1; j <= b.length; j++) {
+                const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+                current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+                if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                    current[j] = Math.min(current[j], beforePrevious[j - 2] + 1);
+                }
+                rowMin = Math.min(rowMin, current[j]);
+            }
+            if (rowMin > max) return max + 1;
+            beforePrevious = previous;
+            previous = current;
+        }
+        return previous[b.length];
+    }
+
+    /**
+     * Typo allowance for a query word
+     * @param {string} word
+     * @returns {number}
+     */
+    function allowedTypos(word) {
+        if (word.length >= 7) return 2;
+        if (word.length >= 4) return 1;
+        return 0;
+    }
+
+    /**
+     * Score how well a normalized title matches a normalized query
+     * @param {Object} entry - { title, words }
+     * @param {string} query
+     * @param {Array} queryWords
+     * @returns {number} 0 for no match, higher is better
+     */
+    function scoreMatch(entry, query, queryWords) {
+        if (entry.title === query) return 100;
+        if (entry.title.startsWith(query)) return 90;
+        if ((' ' + entry.title).includes(' ' + query)) return 80;
+        if (entry.title.includes(query)) return 70;
+
+        // Every query word must match some title word, allowing prefixes and typos
+        let typos = 0;
+        for (let i = 0; i < queryWords.length; i++) {
+            const word = queryWords[i];
+            const isLast = i === queryWords.length - 1;
+            let best = Infinity;
+            for (const titleWord of entry.words) {
+                if (titleWord === word || (isLast && titleWord.startsWith(word))) {
+                    best = 0;
+                    break;
+                }
+                const max = allowedTypos(word);
+                if (max > 0) {
+                    // Compare against the same-length prefix for a word still being typed
+                    const target = isLast && titleWord.length > word.length ? titleWord.slice(0, word.length) : titleWord;
+                    best = Math.min(best, editDistance(word, target, max));
+                }
+            }
+            if (best > allowedTypos(word)) return 0;
+            typos += best;
+        }
+        return 60 - typos * 10;
+    }
+
+    /**
+     * Find items by title, ignoring accents and punctuation and tolerating typos
+     * @param {string} query
+     * @param {number} [limit=20]
+     * @returns {Array} Items, best match first
+     */
+    function search(query, limit = 20) {
+        if (!initialized) init();
+
+        const normalizedQuery = normalizeText(query);
+        if (!normalizedQuery) return [];
+        const queryWords = normalizedQuery.split(' ');
+
+        if (!searchIndex) {
+            searchIndex = items.map(item => {
+                const title = normalizeText(getTitle(item));
+                return { item, title, words: title.split(' ') };
+            });
+        }
+
+        const matches = [];
+        searchIndex.forEach(entry => {
+            const score = scoreMatch(entry, normalizedQuery, queryWords);
+            if (score > 0) matches.push({ item: entry.item, score, length: entry.title.length });
+        });
+
+        // Best score first, then the shorter (closer) title
+        matches.sort((a, b) => b.score - a.score || a.length - b.length);
+        return matches.slice(0, limit).map(match => match.item);
+    }
+
     /**
      * Validate items against the schema
      * @returns {Object} { valid: boolean, errors: Array }
@@ -258,6 +406,9 @@ const ItemManager = (function () {
         getId,
         getDetails,
         calculateEraStats,
+        getFingerprint,
+        normalizeText,
+        search,
         validateItems,
         get isInitialized() { return initialized; },
     };
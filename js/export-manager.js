@@ -0,0 +1,189 @@
+/**
+ * Export Manager - Ratings in formats other services can import
+ * Builds Letterboxd and IMDb-style CSV files and a full JSON dump from a
+ * SlidingWindow state and ItemManager metadata.
+ */
+
+const ExportManager = (function () {
+    'use strict';
+
+    // Activity codes that set a rating (see SlidingWindow.ACTIVITY_CODES)
+    const RATING_CODES = { s: 'seen', n: 'notSeen', w: 'watchlist' };
+
+    /**
+     * Quote a CSV field if needed
+     * @param {*} value
+     * @returns {string}
+     */
+    function csvField(value) {
+        if (value === null || value === undefined) return '';
+        const text = String(value);
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    /**
+     * Build CSV text from a header row and data rows
+     * @param {Array<string>} header
+     * @param {Array<Array>} rows
+     * @returns {string}
+     */
+    function toCSV(header, rows) {
+        return [header, ...rows].map(row => row.map(csvField).join(',')).join('\r\n') + '\r\n';
+    }
+
+    /**
+     * @param {Date|null} date
+     * @returns {string} YYYY-MM-DD (local time), or '' if unknown
+     */
+    function formatDate(date) {
+        if (!date) return '';
+        const pad = number => String(number).padStart(2, '0');
+        return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+    }
+
+    /**
+     * When each item got its current rating, from the activity log
+     * @param {Object} state
+     * @returns {Map} id -> Date
+     */
+    function getRatedDates(state) {
+        const dates = new Map();
+        (state.activity || []).forEach(([time, id, code]) => {
+            if (RATING_CODES[code]) dates.set(id, new Date(time * 1000));
+            else if (code === 'u' || code === 'c') dates.delete(id);
+        });
+        return dates;
+    }
+
+    /**
+     * Items for a list of IDs, skipping any no longer in the list
+     * @param {Array} ids
+     * @returns {Array}
+     */
+    function getItems(ids) {
+        return ids.map(id => ItemManager.getById(id)).filter(Boolean);
+    }
+
+    /**
+     * @param {Object} item
+     * @returns {number|string} Release year
+     */
+    function getYear(item) {
+        return item.year !== undefined ? item.year : ItemManager.getEraValue(item);
+    }
+
+    /**
+     * @param {Object} item
+     * @returns {number|string} TMDB ID (the dataset's IDs are TMDB IDs)
+     */
+    function getTmdbId(item) {
+        return item.tmdb_id !== undefined ? item.tmdb_id : ItemManager.getId(item);
+    }
+
+    /**
+     * Letterboxd import CSV of the items marked as seen
+     * Scores (1-10) become Letterboxd's half-star ratings (0.5-5). WatchedDate is
+     * the day the item was marked as seen here (empty if the activity log has no date).
+     * @param {Object} state - From SlidingWindow.getState()
+     * @returns {string}
+     */
+    function toLetterboxdCSV(state) {
+        const scores = state.scores || {};
+        const ratedDates = getRatedDates(state);
+        const rows = getItems(state.seen).map(item => {
+            const id = ItemManager.getId(item);
+            const score = scores[id];
+            return [ItemManager.getTitle(item), getYear(item), getTmdbId(item), score ? score / 2 : '',
+                formatDate(ratedDates.get(id) || null)];
+        });
+        return toCSV(['Title', 'Year', 'tmdbID', 'Rating', 'WatchedDate'], rows);
+    }
+
+    /**
+     * IMDb-style list CSV of seen and watchlist items
+     * Const is only filled in when items carry an imdb_id; URL falls back to TMDB.
+     * @param {Object} state - From SlidingWindow.getState()
+     * @param {Object} labels - { seen, watchlist } text for the Description column
+     * @returns {string}
+     */
+    function toIMDbCSV(state, labels) {
+        const scores = state.scores || {};
+        const ratedDates = getRatedDates(state);
+        const entries = [
+            ...getItems(state.seen).map(item => ({ item, label: labels.seen })),
+            ...getItems(state.watchlist || []).map(item => ({ item, label: labels.watchlist }))
+        ];
+
+        const rows = entries.map(({ item, label }, index) => {
+            const id = ItemManager.getId(item);
+            const ratedDate = formatDate(ratedDates.get(id) || null);
+            const url = item.imdb_id
+                ? `https://www.imdb.com/title/${item.imdb_id}/`
+                : `https://www.themoviedb.org/movie/${getTmdbId(item)}`;
+            return [
+                index + 1,
+                item.imdb_id || '',
+                ratedDate,
+                ratedDate,
+                label,
+                ItemManager.getTitle(item),
+                url,
+                'Movie',
+                item.runtime || '',
+                getYear(item),
+                item.director || '',
+                scores[id] || '',
+                scores[id] ? ratedDate : ''
+            ];
+        });
+
+        return toCSV(['Position', 'Const', 'Created', 'Modified', 'Description', 'Title', 'URL', 'Title Type',
+            'Runtime (mins)', 'Year', 'Directors', 'Your Rating', 'Date Rated'], rows);
+    }
+
+    /**
+     * Full JSON dump: the raw state plus a readable list of every rated item
+     * @param {Object} state - From SlidingWindow.getState()
+     * @param {Object} meta - Extra top-level fields (app name, profile, ...)
+     * @returns {string}
+     */
+    function toJSON(state, meta) {
+        const scores = state.scores || {};
+        const ratedDates = getRatedDates(state);
+        const describe = rating => id => {
+            const item = ItemManager.getById(id);
+            const ratedAt = ratedDates.get(id);
+            return {
+                id,
+                title: item ? ItemManager.getTitle(item) : null,
+                year: item ? getYear(item) : null,
+                rating,
+                score: scores[id] || null,
+                ratedAt: ratedAt ? ratedAt.toISOString() : null
+            };
+        };
+
+        return JSON.stringify({
+            ...meta,
+            exportedAt: new Date().toISOString(),
+            items: [
+                ...state.seen.map(describe('seen')),
+                ...state.notSeen.map(describe('notSeen')),
+                ...(state.watchlist || []).map(describe('watchlist'))
+            ],
+            state
+        }, null, 2);
+    }
+
+    // Public API
+    return {
+        toLetterboxdCSV,
+        toIMDbCSV,
+        toJSON
+    };
+})();
+
+// Export for ES modules if available
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ExportManager;
+}
@@ -143,14 +143,29 @@ const GamificationManager = (function () {
 
     /**
      * Record an undo - adjusts state
-     * @param {boolean} wasSeen - true if the undone action was 'seen', false if 'notSeen'
+     * @param {string} action - The undone history action ('seen', 'notSeen', 'watchlist' or 'defer')
+     * @param {number} [streak] - Streak from before the undone action (kept on its history entry)
      */
-    function recordUndo(wasSeen) {
-        if (wasSeen) {
+    function recordUndo(action, streak) {
+        // Deferring never touched the streak
+        if (action === 'defer') return;
+
+        if (action === 'seen') {
             totalSeen = Math.max(0, totalSeen - 1);
         }
-        // Always reset streak on undo
-        currentStreak = 0;
+        // Reset if the entry predates streaks being kept on history
+        currentStreak = typeof streak === 'number' ? streak : 0;
+    }
+
+    /**
+     * Record a redo - replays the action's effect on streaks and totals
+     * @param {string} action - The redone history action
+     * @returns {Object|null} Same shape as recordSeen/recordSkip
+     */
+    function recordRedo(action) {
+        if (action === 'seen') return recordSeen();
+        if (action === 'notSeen' || action === 'watchlist') return recordSkip();
+        return null;
     }
 
     /**
@@ -256,6 +271,7 @@ const GamificationManager = (function () {
         recordSeen,
         recordSkip,
         recordUndo,
+        recordRedo,
         syncSeenCount,
         getRank,
         getNextRankProgress,
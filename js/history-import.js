@@ -0,0 +1,333 @@
+/**
+ * History Import - Watch history from Letterboxd, IMDb and Trakt exports
+ * Reads a Letterboxd CSV (watched, ratings or diary), an IMDb ratings CSV or a
+ * Trakt JSON export and matches each movie to the item list: by TMDB or IMDb ID
+ * when the file has one, otherwise by normalized title and year with a
+ * confidence score. Weak, ambiguous or missing matches are left for review.
+ */
+
+const HistoryImport = (function () {
+    'use strict';
+
+    // Confidence a match needs to be accepted without review
+    const AUTO_MATCH = 0.9;
+    const CONFIDENCE = {
+        id: 1,                // TMDB or IMDb ID
+        titleYear: 0.9,       // Same title, same year
+        titleNearYear: 0.7,   // Same title, year off by one (festival vs. release date)
+        titleOnly: 0.6,       // Same title, the file has no year
+        fuzzy: 0.4            // Similar title from search, year within one
+    };
+    const FUZZY_CANDIDATES = 3;
+
+    let titleIndex = null;   // Normalized title -> items
+    let imdbIndex = null;    // IMDb ID -> item (only if the list has imdb_id)
+
+    // ===== PARSING =====
+
+    /**
+     * Split CSV text into rows of fields (quoted fields may contain commas, quotes and newlines)
+     * @param {string} text
+     * @returns {Array<Array<string>>}
+     */
+    function parseCSV(text) {
+        const rows = [];
+        let row = [];
+        let field = '';
+        let quoted = false;
+
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+            if (quoted) {
+                if (char === '"' && text[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else if (char === '"') {
+                    quoted = false;
+                } else {
+                    field += char;
+                }
+            } else if (char === '"') {
+                quoted = true;
+            } else if (char === ',') {
+                row.push(field);
+                field = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && text[i + 1] === '\n') i++;
+                row.push(field);
+                rows.push(row);
+                row = [];
+                field = '';
+            } else {
+                field += char;
+            }
+        }
+        if (field || row.length > 0) {
+            row.push(field);
+            rows.push(row);
+        }
+
+        return rows.filter(fields => fields.some(value => value.trim() !== ''));
+    }
+
+    /**
+     * @param {*} value - A date string
+     * @returns {number|null} Seconds since the epoch, or null if missing or invalid
+     */
+    function parseTime(value) {
+        const time = Date.parse(value);
+        return Number.isNaN(time) ? null : Math.floor(time / 1000);
+    }
+
+    /**
+     * @param {*} value
+     * @returns {number|null} Whole 1-10 score, or null if missing
+     */
+    function toScore(value) {
+        const number = parseFloat(value);
+        if (!(number > 0)) return null;
+        return Math.min(10, Math.max(1, Math.round(number)));
+    }
+
+    /**
+     * @param {*} value
+     * @returns {number|null}
+     */
+    function toYear(value) {
+        const year = parseInt(value, 10);
+        return Number.isNaN(year) ? null : year;
+    }
+
+    /**
+     * Read the movies from a Letterboxd or IMDb CSV export
+     * Also reads the CSV files this app exports.
+     * @param {string} text
+     * @returns {Object|null} { source, entries }, or null if the columns aren't recognized
+     */
+    function parseCSVExport(text) {
+        const [header, ...rows] = parseCSV(text);
+        if (!header) return null;
+
+        const columns = header.map(name => name.trim().toLowerCase());
+        // First of the given names (in order of preference) that the file has
+        const column = (...names) => {
+            const found = names.find(name => columns.includes(name));
+            return found ? columns.indexOf(found) : -1;
+        };
+        const cells = {
+            title: column('name', 'title'),
+            year: column('year'),
+            tmdbId: column('tmdbid'),
+            imdbId: column('const', 'imdbid'),
+            url: column('letterboxd uri', 'url'),
+            titleType: column('title type'),
+            imdbRating: column('your rating'),
+            letterboxdRating: column('rating'),
+            date: column('watched date', 'watcheddate', 'date rated', 'date')
+        };
+        if (cells.title < 0) return null;
+
+        let source = null;
+        if (columns.includes('letterboxd uri') || cells.tmdbId >= 0) source = 'letterboxd';
+        else if (cells.imdbId >= 0) source = 'imdb';
+        if (!source) return null;
+
+        const entries = [];
+        rows.forEach(row => {
+            const get = index => (index >= 0 && row[index] !== undefined ? row[index].trim() : '');
+
+            // IMDb ratings also hold TV series and episodes
+            if (/series|episode/i.test(get(cells.titleType))) return;
+
+            const urlTmdb = get(cells.url).match(/themoviedb\.org\/movie\/(\d+)/);
+            const score = cells.imdbRating >= 0
+                ? toScore(get(cells.imdbRating))
+                : toScore(parseFloat(get(cells.letterboxdRating)) * 2); // Letterboxd rates 0.5-5 stars
+
+            entries.push({
+                title: get(cells.title),
+                year: toYear(get(cells.year)),
+                tmdbId: get(cells.tmdbId) || (urlTmdb ? urlTmdb[1] : ''),
+                imdbId: get(cells.imdbId),
+                score,
+                time: parseTime(get(cells.date))
+            });
+        });
+
+        return { source, entries: entries.filter(entry => entry.title || entry.tmdbId || entry.imdbId) };
+    }
+
+    /**
+     * Read the movies from a Trakt JSON export (watched, history or ratings)
+     * @param {string} text
+     * @returns {Object|null} { source, entries }, or null if it isn't a Trakt export
+     */
+    function parseTraktExport(text) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            return null;
+        }
+        if (!Array.isArray(data)) return null;
+
+        const entries = data
+            .filter(record => record && record.movie)
+            .map(record => {
+                const ids = record.movie.ids || {};
+                return {
+                    title: record.movie.title || '',
+                    year: toYear(record.movie.year),
+                    tmdbId: ids.tmdb ? String(ids.tmdb) : '',
+                    imdbId: ids.imdb || '',
+                    score: toScore(record.rating),
+                    time: parseTime(record.watched_at || record.last_watched_at || record.rated_at)
+                };
+            });
+
+        return entries.length > 0 ? { source: 'trakt', entries } : null;
+    }
+
+    /**
+     * Read an exported history file of any supported kind
+     * @param {string} text - File contents
+     * @returns {Object|null} { source: 'letterboxd'|'imdb'|'trakt', entries: [{ title, year, tmdbId, imdbId, score, time }] }
+     */
+    function parse(text) {
+        const content = String(text || '').replace(/^\uFEFF/, '');
+        const trimmed = content.trim();
+        if (trimmed.startsWith('[') || trimmed.startsWith('{')) {
+            return parseTraktExport(trimmed);
+        }
+        return parseCSVExport(content);
+    }
+
+    // ===== MATCHING =====
+
+    /**
+     * Index the item list by normalized title and IMDb ID (built once)
+     */
+    function buildIndexes() {
+        if (titleIndex) return;
+
+        titleIndex = new Map();
+        imdbIndex = new Map();
+        ItemManager.getAll().forEach(item => {
+            const title = ItemManager.normalizeText(ItemManager.getTitle(item));
+            if (!titleIndex.has(title)) titleIndex.set(title, []);
+            titleIndex.get(title).push(item);
+            if (item.imdb_id) imdbIndex.set(item.imdb_id, item);
+        });
+    }
+
+    /**
+     * Possible items for an entry, best first
+     * @param {Object} entry
+     * @returns {Array} [{ id, confidence }]
+     */
+    function findCandidates(entry) {
+        buildIndexes();
+
+        const byId = (entry.tmdbId && ItemManager.getById(Number(entry.tmdbId))) ||
+            (entry.imdbId && imdbIndex.get(entry.imdbId));
+        if (byId) {
+            return [{ id: ItemManager.getId(byId), confidence: CONFIDENCE.id }];
+        }
+
+        const yearConfidence = item => {
+            const year = ItemManager.getEraValue(item);
+            if (entry.year === null) return CONFIDENCE.titleOnly;
+            if (year === entry.year) return CONFIDENCE.titleYear;
+            return Math.abs(year - entry.year) === 1 ? CONFIDENCE.titleNearYear : 0;
+        };
+
+        let candidates = (titleIndex.get(ItemManager.normalizeText(entry.title)) || [])
+            .map(item => ({ id: ItemManager.getId(item), confidence: yearConfidence(item) }))
+            .filter(candidate => candidate.confidence > 0);
+
+        if (candidates.length === 0 && entry.title) {
+            candidates = ItemManager.search(entry.title, FUZZY_CANDIDATES * 3)
+                .filter(item => entry.year === null || Math.abs(ItemManager.getEraValue(item) - entry.year) <= 1)
+                .slice(0, FUZZY_CANDIDATES)
+                .map(item => ({ id: ItemManager.getId(item), confidence: CONFIDENCE.fuzzy }));
+        }
+
+        return candidates.sort((a, b) => b.confidence - a.confidence);
+    }
+
+    /**
+     * Match parsed entries to items
+     * An entry is matched when exactly one candidate reaches AUTO_MATCH; everything
+     * else goes to review, with its candidates (ambiguous) or without (unmatched).
+     * @param {Array} entries - From parse()
+     * @returns {Object} { matched: [{ entry, id, confidence }], review: [{ entry, candidates, reason }] }
+     */
+    function match(entries) {
+        const matched = [];
+        const review = [];
+
+        entries.forEach(entry => {
+            const candidates = findCandidates(entry);
+            const best = candidates[0];
+            const tied = candidates.filter(candidate => best && candidate.confidence === best.confidence);
+
+            if (best && best.confidence >= AUTO_MATCH && tied.length === 1) {
+                matched.push({ entry, id: best.id, confidence: best.confidence });
+            } else {
+                review.push({ entry, candidates, reason: candidates.length > 0 ? 'ambiguous' : 'unmatched' });
+            }
+        });
+
+        return { matched, review };
+    }
+
+    /**
+     * Build a state marking the matched items as seen, for StorageManager.mergeStates
+     * Each item is logged as seen at its watch/rating date from the file (or now).
+     * @param {Array} matches - [{ entry, id }]
+     * @returns {Object} State with seen, scores and activity
+     */
+    function toState(matches) {
+        const now = Math.floor(Date.now() / 1000);
+        const byId = new Map();
+
+        // An item can appear more than once (rewatches): keep the latest date and any score
+        matches.forEach(({ entry, id }) => {
+            const time = entry.time || now;
+            const existing = byId.get(id);
+            byId.set(id, {
+                time: existing ? Math.max(existing.time, time) : time,
+                score: entry.score || (existing ? existing.score : null)
+            });
+        });
+
+        const scores = {};
+        const activity = [];
+        byId.forEach(({ time, score }, id) => {
+            if (score) scores[id] = score;
+            activity.push([time, id, 's']);
+        });
+
+        return {
+            seen: [...byId.keys()],
+            notSeen: [],
+            watchlist: [],
+            scores,
+            deferred: [],
+            activity: activity.sort((a, b) => a[0] - b[0])
+        };
+    }
+
+    // Public API
+    return {
+        parse,
+        match,
+        toState,
+        AUTO_MATCH
+    };
+})();
+
+// Export for ES modules if available
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = HistoryImport;
+}
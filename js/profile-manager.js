@@ -0,0 +1,237 @@
+/**
+ * Profile Manager - Multiple local players on one device
+ * Keeps the profile list and each profile's settings in localStorage.
+ * Every profile gets its own storage key, so its progress, backups and
+ * settings never mix with another profile's.
+ */
+
+const ProfileManager = (function () {
+    'use strict';
+
+    const DEFAULT_PROFILE = { id: 'default', name: 'Player 1', emoji: '🎬' };
+    const DEFAULT_SETTINGS = { soundEnabled: true, gamification: null };
+    const MAX_NAME_LENGTH = 24;
+    // Avatars offered when adding a profile
+    const AVATARS = ['🎬', '🍿', '🎭', '🦄', '🐱', '🐶', '🦊', '🐼', '🚀', '🌟', '🎸', '👾'];
+
+    let baseKey = 'movie_challenge_progress';
+    let profiles = [];
+    let activeId = DEFAULT_PROFILE.id;
+
+    /**
+     * Read the profile list (call after ConfigLoader.init)
+     */
+    function init() {
+        if (typeof ConfigLoader !== 'undefined' && ConfigLoader.isInitialized) {
+            baseKey = ConfigLoader.getStorageKey();
+        }
+
+        profiles = [{ ...DEFAULT_PROFILE }];
+        activeId = DEFAULT_PROFILE.id;
+
+        try {
+            const saved = JSON.parse(localStorage.getItem(getRegistryKey()));
+            if (saved && Array.isArray(saved.profiles) && saved.profiles.length > 0) {
+                profiles = saved.profiles;
+                activeId = profiles.some(profile => profile.id === saved.active) ? saved.active : profiles[0].id;
+            }
+        } catch (error) {
+            console.error('Failed to read profiles:', error);
+        }
+    }
+
+    /**
+     * Key the profile list is stored under
+     * @returns {string}
+     */
+    function getRegistryKey() {
+        return `${baseKey}_profiles`;
+    }
+
+    /**
+     * Write the profile list
+     */
+    function persist() {
+        try {
+            localStorage.setItem(getRegistryKey(), JSON.stringify({ active: activeId, profiles }));
+        } catch (error) {
+            console.error('Failed to save profiles:', error);
+        }
+    }
+
+    /**
+     * Storage key for a profile's progress
+     * The first profile keeps the configured key so existing progress stays where it is.
+     * @param {string} [id] - Profile ID (defaults to the active profile)
+     * @returns {string}
+     */
+    function getStorageKey(id = activeId) {
+        return id === DEFAULT_PROFILE.id ? baseKey : `${baseKey}_profile_${id}`;
+    }
+
+    /**
+     * Tidy a user-entered name
+     * @param {string} name
+     * @returns {string}
+     */
+    function cleanName(name) {
+        return String(name || '').trim().replace(/\s+/g, ' ').slice(0, MAX_NAME_LENGTH);
+    }
+
+    /**
+     * Get all profiles
+     * @returns {Array} { id, name, emoji } objects
+     */
+    function getProfiles() {
+        return profiles.map(profile => ({ ...profile }));
+    }
+
+    /**
+     * Get the active profile
+     * @returns {Object} { id, name, emoji }
+     */
+    function getActive() {
+        return { ...profiles.find(profile => profile.id === activeId) };
+    }
+
+    /**
+     * Find a profile by name (case-insensitive)
+     * @param {string} name
+     * @returns {Object|null}
+     */
+    function findByName(name) {
+        const wanted = cleanName(name).toLowerCase();
+        const found = profiles.find(profile => profile.name.toLowerCase() === wanted);
+        return found ? { ...found } : null;
+    }
+
+    /**
+     * Add a profile (does not switch to it)
+     * @param {string} name
+     * @param {string} emoji
+     * @returns {Object|null} The new profile, or null if the name is empty or taken
+     */
+    function create(name, emoji) {
+        const cleaned = cleanName(name);
+        if (!cleaned || findByName(cleaned)) return null;
+
+        const profile = {
+            id: Date.now().toString(36) + Math.floor(Math.random() * 1296).toString(36),
+            name: cleaned,
+            emoji: emoji || DEFAULT_PROFILE.emoji
+        };
+        profiles.push(profile);
+        persist();
+        return { ...profile };
+    }
+
+    /**
+     * Rename a profile or change its emoji
+     * @param {string} id
+     * @param {Object} changes - { name, emoji }
+     * @returns {boolean} False if the profile is missing or the name is empty or taken
+     */
+    function update(id, changes) {
+        const profile = profiles.find(entry => entry.id === id);
+        if (!profile) return false;
+
+        if (changes.name !== undefined) {
+            const cleaned = cleanName(changes.name);
+            const existing = findByName(cleaned);
+            if (!cleaned || (existing && existing.id !== id)) return false;
+            profile.name = cleaned;
+        }
+        if (changes.emoji) {
+            profile.emoji = changes.emoji;
+        }
+        persist();
+        return true;
+    }
+
+    /**
+     * Remove a profile from the list along with its settings
+     * Its progress must be deleted separately (StorageManager.deleteStorage).
+     * @param {string} id - Any profile except the active one
+     * @returns {boolean}
+     */
+    function remove(id) {
+        if (id === activeId || !profiles.some(profile => profile.id === id)) return false;
+
+        try {
+            localStorage.removeItem(getSettingsKey(id));
+        } catch (error) {
+            console.error('Failed to remove profile settings:', error);
+        }
+        profiles = profiles.filter(profile => profile.id !== id);
+        persist();
+        return true;
+    }
+
+    /**
+     * Make a profile the active one
+     * @param {string} id
+     * @returns {boolean}
+     */
+    function setActive(id) {
+        if (!profiles.some(profile => profile.id === id)) return false;
+        activeId = id;
+        persist();
+        return true;
+    }
+
+    /**
+     * Key a profile's settings are stored under
+     * @param {string} id
+     * @returns {string}
+     */
+    function getSettingsKey(id) {
+        return `${getStorageKey(id)}_settings`;
+    }
+
+    /**
+     * Get the active profile's settings (sound, gamification)
+     * @returns {Object}
+     */
+    function getSettings() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(getSettingsKey(activeId)));
+            return { ...DEFAULT_SETTINGS, ...saved };
+        } catch (error) {
+            return { ...DEFAULT_SETTINGS };
+        }
+    }
+
+    /**
+     * Update some of the active profile's settings
+     * @param {Object} changes
+     */
+    function saveSettings(changes) {
+        try {
+            localStorage.setItem(getSettingsKey(activeId), JSON.stringify({ ...getSettings(), ...changes }));
+        } catch (error) {
+            console.error('Failed to save profile settings:', error);
+        }
+    }
+
+    // Public API
+    return {
+        init,
+        getProfiles,
+        getActive,
+        findByName,
+        create,
+        update,
+        remove,
+        setActive,
+        getStorageKey,
+        getSettings,
+        saveSettings,
+        AVATARS,
+        MAX_NAME_LENGTH
+    };
+})();
+
+// Export for ES modules if available
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ProfileManager;
+}
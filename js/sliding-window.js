@@ -10,13 +10,31 @@ const SlidingWindow = (function () {
     let WINDOW_SIZE = 5;          // Number of cards to render at once
     let PRELOAD_AHEAD = 3;        // How many cards ahead to preload images
     let HISTORY_MAX_SIZE = 100;   // Max undo history
+    let DEFER_DISTANCE = 20;      // Ratings before a deferred item comes back
+
+    // Deck ordering modes (chronological is the source data order)
+    const ORDER_MODES = ['chronological', 'reverse', 'shuffle', 'popular', 'obscure'];
+    const DEFAULT_ORDER = { mode: 'chronological', seed: null };
+    // One-letter codes used in the activity log
+    const ACTIVITY_CODES = { seen: 's', notSeen: 'n', watchlist: 'w', defer: 'd', clear: 'c', undo: 'u' };
 
     // State
-    let items = [];                  // Full item list (movies, books, etc.)
-    let currentIndex = 0;            // Current position in the list
+    let sourceItems = [];            // Item list as provided (chronological)
+    let items = [];                  // Items in deck order, limited by the era filter (movies, books, etc.)
+    let order = { ...DEFAULT_ORDER };
+    let eraFilter = [];              // Era IDs the deck is limited to (empty = all eras)
+    let eraPositions = {};           // Saved deck position per era filter key
+    let currentIndex = 0;            // Current position in the deck
     let seenSet = new Set();         // Fast lookup for seen items
     let notSeenSet = new Set();      // Fast lookup for not-seen items
+    let watchlistSet = new Set();    // Fast lookup for want-to-watch items
+    let scores = {};                 // Personal 1-10 scores for seen items, keyed by ID
+    let deferred = new Map();        // Deferred item ID -> rated count at which it comes back
+    let indexById = new Map();       // Item ID -> position in items
+    let knownIds = new Set();        // IDs of every item, including those outside the era filter
     let history = [];                // Action history for undo
+    let redoStack = [];              // Undone actions that can be replayed (not persisted)
+    let activity = [];               // Append-only log of [time in seconds, id, code] events
 
     // Callbacks
     let onUpdate = null;
@@ -31,6 +49,7 @@ const SlidingWindow = (function () {
             WINDOW_SIZE = config.ui.windowSize;
             PRELOAD_AHEAD = config.ui.preloadAhead;
             HISTORY_MAX_SIZE = config.storage.maxHistorySize;
+            DEFER_DISTANCE = config.ui.deferDistance || DEFER_DISTANCE;
         }
     }
 
@@ -44,21 +63,249 @@ const SlidingWindow = (function () {
         // Load config values
         loadConfig();
 
-        items = itemList;
+        sourceItems = itemList;
+        order = normalizeOrder(savedState.order);
+        eraFilter = normalizeEraFilter(savedState.eraFilter);
+        eraPositions = { ...(savedState.eraPositions || {}) };
+        items = buildDeck(sourceItems, order);
+        knownIds = new Set(sourceItems.map(getItemId));
         currentIndex = savedState.currentIndex || 0;
         seenSet = new Set(savedState.seen || []);
         notSeenSet = new Set(savedState.notSeen || []);
+        watchlistSet = new Set(savedState.watchlist || []);
+        scores = { ...(savedState.scores || {}) };
+        deferred = new Map((savedState.deferred || []).map(entry => [entry.id, entry.returnAfter]));
         history = savedState.history || [];
+        redoStack = [];
+        activity = Array.isArray(savedState.activity) ? savedState.activity.slice() : [];
+
+        rebuildIndex();
 
         onUpdate = callbacks.onUpdate || (() => { });
         onComplete = callbacks.onComplete || (() => { });
 
-        // Skip already-rated items to find the real current position
-        while (currentIndex < items.length && isRated(getItemId(items[currentIndex]))) {
-            currentIndex++;
+        // Skip already-rated and deferred items to find the real current position
+        skipHandledItems();
+
+        triggerUpdate();
+    }
+
+    /**
+     * Validate a saved ordering, falling back to chronological
+     * @param {Object} savedOrder - { mode, seed }
+     * @returns {Object}
+     */
+    function normalizeOrder(savedOrder) {
+        if (!savedOrder || !ORDER_MODES.includes(savedOrder.mode)) {
+            return { ...DEFAULT_ORDER };
         }
+        return {
+            mode: savedOrder.mode,
+            seed: savedOrder.mode === 'shuffle' ? (savedOrder.seed >>> 0) : null
+        };
+    }
+
+    /**
+     * Seeded pseudo-random number generator (mulberry32)
+     * @param {number} seed
+     * @returns {Function} Returns floats in [0, 1)
+     */
+    function createRandom(seed) {
+        let t = seed >>> 0;
+        return function () {
+            t = (t + 0x6D2B79F5) >>> 0;
+            let r = Math.imul(t ^ (t >>> 15), t | 1);
+            r ^= r + Math.imul(r ^ (r >>> 7), r | 61);
+            return ((r ^ (r >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+
+    /**
+     * Get a popularity score for sorting (vote count first, then popularity)
+     * @param {Object} item
+     * @returns {Array} [voteCount, popularity]
+     */
+    function getPopularity(item) {
+        return [Number(item.vote_count) || 0, Number(item.popularity) || 0];
+    }
+
+    /**
+     * Get the configured era IDs
+     * @returns {Array|null} Era IDs, or null if eras are not configured
+     */
+    function getEraIds() {
+        if (typeof ConfigLoader !== 'undefined' && ConfigLoader.isInitialized) {
+            return ConfigLoader.get().eras.groups.map(era => era.id);
+        }
+        return null;
+    }
+
+    /**
+     * Validate a saved era filter, dropping unknown eras
+     * @param {Array} savedFilter - Era IDs
+     * @returns {Array} Era IDs in config order (empty = all eras)
+     */
+    function normalizeEraFilter(savedFilter) {
+        if (!Array.isArray(savedFilter) || savedFilter.length === 0) return [];
+
+        const eraIds = getEraIds();
+        if (!eraIds) return savedFilter.slice();
+
+        const filter = eraIds.filter(id => savedFilter.includes(id));
+        // Selecting every era is the same as no filter
+        return filter.length === eraIds.length ? [] : filter;
+    }
+
+    /**
+     * Key used to remember the deck position for an era filter
+     * @param {Array} filter - Era IDs
+     * @returns {string}
+     */
+    function getFilterKey(filter) {
+        return filter.length > 0 ? filter.join(',') : 'all';
+    }
+
+    /**
+     * Build the deck for an ordering mode, limited to the era filter
+     * @param {Array} list - Source items
+     * @param {Object} deckOrder - { mode, seed }
+     * @returns {Array} New array in deck order
+     */
+    function buildDeck(list, deckOrder) {
+        const deck = eraFilter.length > 0
+            ? list.filter(item => eraFilter.includes(getItemEra(item)))
+            : list.slice();
+
+        switch (deckOrder.mode) {
+            case 'reverse':
+                return deck.reverse();
+
+            case 'shuffle': {
+                // Fisher-Yates with a seeded generator so reloads give the same deck
+                const random = createRandom(deckOrder.seed);
+                for (let i = deck.length - 1; i > 0; i--) {
+                    const j = Math.floor(random() * (i + 1));
+                    [deck[i], deck[j]] = [deck[j], deck[i]];
+                }
+                return deck;
+            }
+
+            case 'popular':
+            case 'obscure': {
+                const direction = deckOrder.mode === 'popular' ? -1 : 1;
+                // Array.prototype.sort is stable, so ties keep chronological order
+                return deck.sort((a, b) => {
+                    const [votesA, popA] = getPopularity(a);
+                    const [votesB, popB] = getPopularity(b);
+                    return direction * ((votesA - votesB) || (popA - popB));
+                });
+            }
+
+            default:
+                return deck;
+        }
+    }
+
+    /**
+     * Rebuild the ID -> deck position lookup
+     */
+    function rebuildIndex() {
+        indexById = new Map();
+        items.forEach((item, idx) => indexById.set(getItemId(item), idx));
+    }
+
+    /**
+     * Change the deck ordering without touching ratings
+     * @param {string} mode - One of ORDER_MODES
+     * @param {number} [seed] - Shuffle seed (random if omitted)
+     * @returns {boolean} Whether the mode was applied
+     */
+    function setOrder(mode, seed) {
+        if (!ORDER_MODES.includes(mode)) return false;
+
+        if (mode === 'shuffle' && (seed === undefined || seed === null)) {
+            seed = Math.floor(Math.random() * 4294967296);
+        }
+        order = normalizeOrder({ mode, seed });
+        items = buildDeck(sourceItems, order);
+        rebuildIndex();
+
+        // Progress lives in the rating sets, so restarting the walk loses nothing.
+        // Saved positions for other era filters belong to the old order.
+        currentIndex = 0;
+        eraPositions = {};
+        skipHandledItems();
 
         triggerUpdate();
+        return true;
+    }
+
+    /**
+     * Limit the deck to one or more eras, each with its own resume position
+     * @param {Array} eraIds - Era IDs (empty = all eras)
+     * @returns {boolean} Whether the filter changed
+     */
+    function setEraFilter(eraIds) {
+        const nextFilter = normalizeEraFilter(eraIds);
+        if (getFilterKey(nextFilter) === getFilterKey(eraFilter)) return false;
+
+        eraPositions[getFilterKey(eraFilter)] = currentIndex;
+
+        eraFilter = nextFilter;
+        items = buildDeck(sourceItems, order);
+        rebuildIndex();
+
+        currentIndex = eraPositions[getFilterKey(eraFilter)] || 0;
+        if (currentIndex > items.length) currentIndex = 0;
+        skipHandledItems();
+
+        triggerUpdate();
+
+        // Switching to an era that is already finished goes straight to its completion screen
+        if (!getCurrentItem()) {
+            onComplete(getState());
+        }
+        return true;
+    }
+
+    /**
+     * Get the active era filter
+     * @returns {Array} Era IDs (empty = all eras)
+     */
+    function getEraFilter() {
+        return eraFilter.slice();
+    }
+
+    /**
+     * Get rating totals for the current deck (the filtered eras only)
+     * @returns {Object}
+     */
+    function getDeckProgress() {
+        const deckProgress = { total: items.length, rated: 0, seen: 0, notSeen: 0, watchlist: 0 };
+        items.forEach(item => {
+            const id = getItemId(item);
+            if (seenSet.has(id)) deckProgress.seen++;
+            else if (notSeenSet.has(id)) deckProgress.notSeen++;
+            else if (watchlistSet.has(id)) deckProgress.watchlist++;
+        });
+        deckProgress.rated = deckProgress.seen + deckProgress.notSeen + deckProgress.watchlist;
+        return deckProgress;
+    }
+
+    /**
+     * Get the current deck ordering
+     * @returns {Object} { mode, seed }
+     */
+    function getOrder() {
+        return { ...order };
+    }
+
+    /**
+     * Check if the deck walks through eras in sequence
+     * @returns {boolean}
+     */
+    function isEraOrdered() {
+        return order.mode === 'chronological' || order.mode === 'reverse';
     }
 
     /**
@@ -78,22 +325,67 @@ const SlidingWindow = (function () {
      * @returns {boolean}
      */
     function isRated(id) {
-        return seenSet.has(id) || notSeenSet.has(id);
+        return seenSet.has(id) || notSeenSet.has(id) || watchlistSet.has(id);
     }
 
     /**
-     * Get the current window of items to display
-     * @returns {Array} Items in the current window
+     * Check if an item is out of the normal deck order (rated or deferred)
+     * @param {number|string} id - Item ID
+     * @returns {boolean}
      */
-    function getWindow() {
-        const windowItems = [];
+    function isHandled(id) {
+        return isRated(id) || deferred.has(id);
+    }
+
+    /**
+     * Get the number of rated items
+     * @returns {number}
+     */
+    function getRatedCount() {
+        return seenSet.size + notSeenSet.size + watchlistSet.size;
+    }
+
+    /**
+     * Check if a deferred item should come back
+     * It returns after DEFER_DISTANCE more ratings, once the deck moves past
+     * its era (chronological orders only), or when nothing else is left.
+     * @param {number|string} id - Deferred item ID
+     * @param {number} nextIdx - Deck position of the next item in normal order
+     * @returns {boolean}
+     */
+    function isDeferredDue(id, nextIdx) {
+        if (nextIdx >= items.length) return true;
+        if (getRatedCount() >= deferred.get(id)) return true;
+
+        if (!isEraOrdered()) return false;
+
+        // Only once the deck has moved past it into a different era
+        const itemIdx = indexById.get(id);
+        return itemIdx < nextIdx && getItemEra(items[itemIdx]) !== getItemEra(items[nextIdx]);
+    }
+
+    /**
+     * Collect upcoming items: due deferred items first, then the deck in order
+     * @param {number} limit - Maximum number of items
+     * @returns {Array} Items with their index (deferred ones flagged)
+     */
+    function getUpcoming(limit) {
+        const upcoming = [];
         let idx = currentIndex;
+        while (idx < items.length && isHandled(getItemId(items[idx]))) {
+            idx++;
+        }
+        deferred.forEach((returnAfter, id) => {
+            if (upcoming.length < limit && indexById.has(id) && isDeferredDue(id, idx)) {
+                const itemIdx = indexById.get(id);
+                upcoming.push({ ...items[itemIdx], index: itemIdx, deferred: true });
+            }
+        });
 
-        // Collect unrated items for the window
-        while (windowItems.length < WINDOW_SIZE && idx < items.length) {
+        while (upcoming.length < limit && idx < items.length) {
             const item = items[idx];
-            if (!isRated(getItemId(item))) {
-                windowItems.push({
+            if (!isHandled(getItemId(item))) {
+                upcoming.push({
                     ...item,
                     index: idx
                 });
@@ -101,7 +393,15 @@ const SlidingWindow = (function () {
             idx++;
         }
 
-        return windowItems;
+        return upcoming;
+    }
+
+    /**
+     * Get the current window of items to display
+     * @returns {Array} Items in the current window
+     */
+    function getWindow() {
+        return getUpcoming(WINDOW_SIZE);
     }
 
     /**
@@ -109,49 +409,93 @@ const SlidingWindow = (function () {
      * @returns {Array} Item objects to preload
      */
     function getPreloadQueue() {
-        const queue = [];
-        let idx = currentIndex;
-        let count = 0;
-
-        while (count < WINDOW_SIZE + PRELOAD_AHEAD && idx < items.length) {
-            const item = items[idx];
-            if (!isRated(getItemId(item))) {
-                queue.push(item);
-                count++;
-            }
-            idx++;
-        }
-
-        return queue;
+        return getUpcoming(WINDOW_SIZE + PRELOAD_AHEAD);
     }
 
     /**
-     * Mark the current item as seen
+     * Record a rating for the current item
+     * @param {Set} targetSet - Set to add the item to
+     * @param {string} action - History action name
+     * @param {number} [streak] - Streak before this rating, kept for undo
+     * @returns {boolean}
      */
-    function markSeen() {
+    function rateCurrent(targetSet, action, streak) {
         const currentItem = getCurrentItem();
         if (!currentItem) return false;
 
         const itemId = getItemId(currentItem);
-        seenSet.add(itemId);
-        history.push({ id: itemId, action: 'seen' });
+        const entry = { id: itemId, action };
+        if (streak !== undefined) entry.streak = streak;
+
+        // Rating a deferred item takes it out of the queue (undo puts it back)
+        if (deferred.has(itemId)) {
+            entry.deferred = deferred.get(itemId);
+            deferred.delete(itemId);
+        }
+
+        targetSet.add(itemId);
+        history.push(entry);
         trimHistory();
+        logActivity(itemId, action);
+        redoStack = []; // A new rating starts a new branch
         advanceToNext();
 
         return true;
     }
 
+    /**
+     * Append an event to the activity log
+     * @param {number|string} id - Item ID
+     * @param {string} action - Key of ACTIVITY_CODES
+     */
+    function logActivity(id, action) {
+        activity.push([Math.floor(Date.now() / 1000), id, ACTIVITY_CODES[action]]);
+    }
+
+    /**
+     * Mark the current item as seen
+     * @param {number} [streak] - Streak before this rating, kept for undo
+     */
+    function markSeen(streak) {
+        return rateCurrent(seenSet, 'seen', streak);
+    }
+
     /**
      * Mark the current item as not seen (skip)
+     * @param {number} [streak] - Streak before this rating, kept for undo
      */
-    function markNotSeen() {
+    function markNotSeen(streak) {
+        return rateCurrent(notSeenSet, 'notSeen', streak);
+    }
+
+    /**
+     * Mark the current item as want-to-watch (adds to watchlist)
+     * @param {number} [streak] - Streak before this rating, kept for undo
+     */
+    function markWatchlist(streak) {
+        return rateCurrent(watchlistSet, 'watchlist', streak);
+    }
+
+    /**
+     * Move the current item later in the deck ("Not sure / ask me later")
+     * @returns {boolean}
+     */
+    function markDeferred() {
         const currentItem = getCurrentItem();
         if (!currentItem) return false;
 
         const itemId = getItemId(currentItem);
-        notSeenSet.add(itemId);
-        history.push({ id: itemId, action: 'notSeen' });
+        const entry = { id: itemId, action: 'defer' };
+        if (deferred.has(itemId)) {
+            entry.deferred = deferred.get(itemId);
+            deferred.delete(itemId); // Re-deferring moves it to the back of the queue
+        }
+
+        deferred.set(itemId, getRatedCount() + DEFER_DISTANCE);
+        history.push(entry);
         trimHistory();
+        logActivity(itemId, 'defer');
+        redoStack = [];
         advanceToNext();
 
         return true;
@@ -159,43 +503,182 @@ const SlidingWindow = (function () {
 
     /**
      * Undo the last action
-     * @returns {boolean} Whether undo was successful
+     * @returns {Object|null} The undone history entry ({ id, action, streak }), or null if there was nothing to undo
      */
     function undo() {
-        if (history.length === 0) return false;
+        if (history.length === 0) return null;
 
         const lastAction = history.pop();
+        const undone = { id: lastAction.id, action: lastAction.action };
 
         if (lastAction.action === 'seen') {
             seenSet.delete(lastAction.id);
+            if (scores[lastAction.id]) undone.score = scores[lastAction.id];
+            delete scores[lastAction.id];
+        } else if (lastAction.action === 'watchlist') {
+            watchlistSet.delete(lastAction.id);
+        } else if (lastAction.action === 'defer') {
+            undone.returnAfter = deferred.get(lastAction.id);
+            deferred.delete(lastAction.id);
         } else {
             notSeenSet.delete(lastAction.id);
         }
 
+        // Put a previously deferred item back in the queue
+        if (lastAction.deferred !== undefined) {
+            deferred.set(lastAction.id, lastAction.deferred);
+        }
+
         // Find the index of the item we just un-rated
-        const itemIdx = items.findIndex(m => getItemId(m) === lastAction.id);
-        if (itemIdx !== -1 && itemIdx < currentIndex) {
+        const itemIdx = indexById.has(lastAction.id) ? indexById.get(lastAction.id) : -1;
+        if (itemIdx !== -1 && itemIdx < currentIndex && !deferred.has(lastAction.id)) {
             currentIndex = itemIdx;
         }
 
+        redoStack.push(undone);
+        logActivity(lastAction.id, 'undo');
         triggerUpdate();
+        return lastAction;
+    }
+
+    /**
+     * Replay the most recently undone action
+     * @param {number} [streak] - Streak before the replay, kept for undo
+     * @returns {boolean} Whether redo was successful
+     */
+    function redo(streak) {
+        if (redoStack.length === 0) return false;
+
+        const undone = redoStack.pop();
+        const { id, action } = undone;
+        const targetSets = { seen: seenSet, notSeen: notSeenSet, watchlist: watchlistSet };
+
+        // Nothing to replay if the item was rated some other way since
+        if (isRated(id) || (action !== 'defer' && !targetSets[action])) {
+            redoStack = [];
+            triggerUpdate();
+            return false;
+        }
+
+        const entry = { id, action };
+        if (streak !== undefined && action !== 'defer') entry.streak = streak;
+        if (deferred.has(id)) {
+            entry.deferred = deferred.get(id);
+            deferred.delete(id);
+        }
+
+        if (action === 'defer') {
+            deferred.set(id, undone.returnAfter !== undefined ? undone.returnAfter : getRatedCount() + DEFER_DISTANCE);
+        } else {
+            targetSets[action].add(id);
+            if (undone.score) scores[id] = undone.score;
+        }
+
+        history.push(entry);
+        trimHistory();
+        logActivity(id, action);
+        advanceToNext();
+
         return true;
     }
 
+    /**
+     * Get the rating of any item
+     * @param {number|string} id - Item ID
+     * @returns {string|null} 'seen', 'notSeen', 'watchlist', 'deferred' or null
+     */
+    function getRating(id) {
+        if (seenSet.has(id)) return 'seen';
+        if (notSeenSet.has(id)) return 'notSeen';
+        if (watchlistSet.has(id)) return 'watchlist';
+        if (deferred.has(id)) return 'deferred';
+        return null;
+    }
+
+    /**
+     * Change or clear the rating of any item, wherever it is in the deck
+     * @param {number|string} id - Item ID
+     * @param {string|null} rating - 'seen', 'notSeen', 'watchlist', or null to clear
+     * @returns {boolean} Whether anything changed
+     */
+    function setRating(id, rating) {
+        const targetSets = { seen: seenSet, notSeen: notSeenSet, watchlist: watchlistSet };
+        if (!knownIds.has(id)) return false;
+        if (rating !== null && !targetSets[rating]) return false;
+        if (getRating(id) === rating) return false;
+
+        seenSet.delete(id);
+        notSeenSet.delete(id);
+        watchlistSet.delete(id);
+        deferred.delete(id);
+        if (rating !== 'seen') {
+            delete scores[id];
+        }
+        if (rating) {
+            targetSets[rating].add(id);
+        }
+
+        // The edit supersedes any undo entries for this item
+        history = history.filter(entry => entry.id !== id);
+        redoStack = [];
+        logActivity(id, rating || 'clear');
+
+        if (rating === null) {
+            // A cleared item goes back into the deck at its own position
+            const itemIdx = indexById.get(id);
+            if (itemIdx !== undefined && itemIdx < currentIndex) {
+                currentIndex = itemIdx;
+            }
+            // Saved positions for other era filters may now be past it
+            eraPositions = {};
+        } else {
+            skipHandledItems();
+        }
+
+        triggerUpdate();
+
+        if (!getCurrentItem()) {
+            onComplete(getState());
+        }
+        return true;
+    }
+
+    /**
+     * Set the personal score for a seen item
+     * @param {number|string} id - Item ID
+     * @param {number|null} score - Whole number from 1 to 10, or null to clear
+     * @returns {boolean} Whether the score was applied
+     */
+    function setScore(id, score) {
+        if (!seenSet.has(id)) return false;
+
+        if (score === null || score === undefined) {
+            delete scores[id];
+        } else {
+            const value = Math.round(Number(score));
+            if (!(value >= 1 && value <= 10)) return false;
+            scores[id] = value;
+        }
+
+        triggerUpdate();
+        return true;
+    }
+
+    /**
+     * Get the personal score for an item
+     * @param {number|string} id - Item ID
+     * @returns {number|null}
+     */
+    function getScore(id) {
+        return scores[id] || null;
+    }
+
     /**
      * Get the current (top) item
      * @returns {Object|null}
      */
     function getCurrentItem() {
-        let idx = currentIndex;
-        while (idx < items.length) {
-            const item = items[idx];
-            if (!isRated(getItemId(item))) {
-                return { ...item, index: idx };
-            }
-            idx++;
-        }
-        return null;
+        return getUpcoming(1)[0] || null;
     }
 
     // Alias for backwards compatibility
@@ -204,20 +687,26 @@ const SlidingWindow = (function () {
     }
 
     /**
-     * Advance to the next unrated item
+     * Move currentIndex past rated and deferred items
      */
-    function advanceToNext() {
-        currentIndex++;
-
-        // Skip any already-rated items
-        while (currentIndex < items.length && isRated(getItemId(items[currentIndex]))) {
+    function skipHandledItems() {
+        while (currentIndex < items.length && isHandled(getItemId(items[currentIndex]))) {
             currentIndex++;
         }
+    }
+
+    /**
+     * Advance to the next unrated item
+     */
+    function advanceToNext() {
+        // The item just handled may have been a deferred one from behind
+        // currentIndex, so only skip what is already handled
+        skipHandledItems();
 
         triggerUpdate();
 
         // Check for completion
-        if (currentIndex >= items.length || !getCurrentItem()) {
+        if (!getCurrentItem()) {
             onComplete(getState());
         }
     }
@@ -240,10 +729,43 @@ const SlidingWindow = (function () {
             currentIndex,
             seen: Array.from(seenSet),
             notSeen: Array.from(notSeenSet),
-            history: history.slice() // Copy
+            watchlist: Array.from(watchlistSet),
+            scores: { ...scores },
+            deferred: Array.from(deferred, ([id, returnAfter]) => ({ id, returnAfter })),
+            order: { ...order },
+            eraFilter: eraFilter.slice(),
+            eraPositions: { ...eraPositions, [getFilterKey(eraFilter)]: currentIndex },
+            history: history.slice(), // Copy
+            activity: activity.slice()
         };
     }
 
+    /**
+     * Get the activity log
+     * @returns {Array} [time in seconds, id, code] entries, oldest first
+     */
+    function getActivity() {
+        return activity.slice();
+    }
+
+    /**
+     * Get when an item's current rating was made
+     * @param {number|string} id - Item ID
+     * @returns {Date|null} Null if unrated or rated before the log existed
+     */
+    function getRatedAt(id) {
+        const rating = getRating(id);
+        if (!rating || rating === 'deferred') return null;
+
+        for (let i = activity.length - 1; i >= 0; i--) {
+            const [time, entryId, code] = activity[i];
+            if (entryId !== id) continue;
+            // An undo or clear means the latest rating event is older than the current rating
+            return code === ACTIVITY_CODES[rating] ? new Date(time * 1000) : null;
+        }
+        return null;
+    }
+
     /**
      * Get the current era based on current item
      * @returns {string}
@@ -258,6 +780,15 @@ const SlidingWindow = (function () {
             return '2020s';
         }
 
+        return getItemEra(item);
+    }
+
+    /**
+     * Get the era of an item
+     * @param {Object} item
+     * @returns {string}
+     */
+    function getItemEra(item) {
         // Use ItemManager if available
         if (typeof ItemManager !== 'undefined' && ItemManager.isInitialized) {
             return ItemManager.getEraId(item);
@@ -282,14 +813,17 @@ const SlidingWindow = (function () {
      * @returns {Object}
      */
     function getProgress() {
-        const total = seenSet.size + notSeenSet.size;
+        const total = getRatedCount();
+        const itemCount = sourceItems.length;
         return {
             current: total,
-            total: items.length,
-            percent: items.length > 0 ? (total / items.length) * 100 : 0,
+            total: itemCount,
+            percent: itemCount > 0 ? (total / itemCount) * 100 : 0,
             seen: seenSet.size,
             notSeen: notSeenSet.size,
-            remaining: items.length - total
+            watchlist: watchlistSet.size,
+            deferred: deferred.size,
+            remaining: itemCount - total
         };
     }
 
@@ -305,7 +839,8 @@ const SlidingWindow = (function () {
                 decade: getCurrentEra(), // Keep 'decade' key for backwards compatibility
                 era: getCurrentEra(),
                 state: getState(),
-                canUndo: history.length > 0
+                canUndo: history.length > 0,
+                canRedo: redoStack.length > 0
             });
         }
     }
@@ -315,9 +850,15 @@ const SlidingWindow = (function () {
      */
     function reset() {
         currentIndex = 0;
+        eraPositions = {};
         seenSet.clear();
         notSeenSet.clear();
+        watchlistSet.clear();
+        scores = {};
+        deferred.clear();
         history = [];
+        redoStack = [];
+        activity = [];
         triggerUpdate();
     }
 
@@ -336,16 +877,34 @@ const SlidingWindow = (function () {
         getPreloadQueue,
         markSeen,
         markNotSeen,
+        markWatchlist,
+        markDeferred,
+        getRating,
+        setRating,
+        setOrder,
+        getOrder,
+        isEraOrdered,
+        setEraFilter,
+        getEraFilter,
+        getDeckProgress,
+        setScore,
+        getScore,
         undo,
+        redo,
         getCurrentItem,
         getCurrentMovie, // Alias for backwards compatibility
         getState,
+        getActivity,
+        getRatedAt,
         getProgress,
         getCurrentEra,
         getCurrentDecade, // Alias for backwards compatibility
         reset,
         isComplete,
-        get historyLength() { return history.length; }
+        ORDER_MODES,
+        ACTIVITY_CODES,
+        get historyLength() { return history.length; },
+        get redoLength() { return redoStack.length; }
     };
 })();
 
@@ -1,19 +1,43 @@
 /**
  * Storage Manager
- * Handles all localStorage persistence with batched writes
+ * Handles persistence with batched writes.
+ * Uses IndexedDB when available (state split into parts, activity log appended
+ * incrementally) and falls back to a single localStorage entry otherwise.
  */
 
 const StorageManager = (function () {
     // These will be initialized from config
     let STORAGE_KEY = 'movie_challenge_progress';
     let SAVE_DEBOUNCE_MS = 500;
+    let RESTORE_POINTS_MAX = 10;
+    let RESTORE_POINT_EVERY = 100;
 
     let saveTimeout = null;
     let pendingState = null;
     let totalCount = 5000; // Will be updated from config
 
+    // Current state schema version (see MIGRATIONS)
+    const STATE_VERSION = 3;
+
+    // IndexedDB layout: one record per state part, one record per activity entry
+    const DB_VERSION = 2;
+    const STATE_STORE = 'state';
+    const ACTIVITY_STORE = 'activity';
+    const BACKUP_STORE = 'backups';
+    const STATE_PARTS = ['seen', 'notSeen', 'watchlist', 'scores', 'deferred', 'history'];
+
+    let db = null;                   // Open IndexedDB connection (null = localStorage fallback)
+    let cachedState = null;          // Latest state when using IndexedDB (load() is synchronous)
+    let writtenParts = {};           // Part name -> JSON last written, so unchanged parts are skipped
+    let writtenActivity = { count: 0, last: null }; // Activity entries already stored
+    let migrationReport = null;      // Result of the schema migration run by init()
+    let readOnly = false;            // Another tab is saving this profile (see TabSync)
+    let lastRestorePoint = null;     // { day, rated } when the newest restore point was made
+    let restorePointCount = 0;       // Keeps IDs unique when two points are made in the same millisecond
+
     /**
      * Initialize storage manager with config values
+     * Progress is kept under the active profile's key.
      */
     function initStorage() {
         if (typeof ConfigLoader !== 'undefined' && ConfigLoader.isInitialized) {
@@ -21,7 +45,298 @@ const StorageManager = (function () {
             STORAGE_KEY = config.storage.key;
             SAVE_DEBOUNCE_MS = config.storage.debounceMs;
             totalCount = config.data.totalCount;
+            if (config.storage.restorePoints) {
+                RESTORE_POINTS_MAX = config.storage.restorePoints.max;
+                RESTORE_POINT_EVERY = config.storage.restorePoints.everyRatings;
+            }
+        }
+        if (typeof ProfileManager !== 'undefined') {
+            STORAGE_KEY = ProfileManager.getStorageKey();
+        }
+    }
+
+    /**
+     * Name of the active profile, added to exports so a restore can find its profile
+     * @returns {string|undefined}
+     */
+    function getProfileName() {
+        return typeof ProfileManager !== 'undefined' ? ProfileManager.getActive().name : undefined;
+    }
+
+    /**
+     * Write any pending (debounced) save now
+     * @returns {Promise<void>}
+     */
+    async function flush() {
+        if (saveTimeout) {
+            clearTimeout(saveTimeout);
+            saveTimeout = null;
+        }
+        if (!pendingState) return;
+
+        const state = pendingState;
+        pendingState = null;
+        try {
+            if (db) await writeDatabase(state);
+            else writeState(state);
+        } catch (error) {
+            console.error('Failed to save pending progress:', error);
+        }
+    }
+
+    /**
+     * Stop or resume saving (a read-only tab must not overwrite the writer tab's progress)
+     * @param {boolean} value
+     */
+    function setReadOnly(value) {
+        readOnly = value;
+    }
+
+    /**
+     * Write any pending save and close the database (before switching profile)
+     * Call init() again to open the new active profile's storage.
+     * @returns {Promise<void>}
+     */
+    async function close() {
+        await flush();
+
+        if (db) db.close();
+        db = null;
+        cachedState = null;
+        writtenParts = {};
+        writtenActivity = { count: 0, last: null };
+        migrationReport = null;
+        lastRestorePoint = null;
+    }
+
+    /**
+     * Delete everything stored under a key (a removed profile's progress and backups)
+     * @param {string} key - Storage key, must not be the open one
+     * @returns {Promise<void>}
+     */
+    function deleteStorage(key) {
+        try {
+            [key, `${key}_journal`, `${key}_restore_points`, `${key}_code_parts`].forEach(name => localStorage.removeItem(name));
+            for (let i = localStorage.length - 1; i >= 0; i--) {
+                const name = localStorage.key(i);
+                if (name && name.startsWith(`${key}_backup_`)) localStorage.removeItem(name);
+            }
+        } catch (error) {
+            console.error('Failed to delete saved progress:', error);
+        }
+
+        if (typeof indexedDB === 'undefined') return Promise.resolve();
+        return new Promise(resolve => {
+            const request = indexedDB.deleteDatabase(key);
+            request.onsuccess = () => resolve();
+            request.onerror = () => {
+                console.error('Failed to delete database:', request.error);
+                resolve();
+            };
+            request.onblocked = () => resolve();
+        });
+    }
+
+    /**
+     * Read config, open IndexedDB and move any localStorage progress into it
+     * Falls back to localStorage if IndexedDB is unavailable. Call setReadOnly first:
+     * a read-only tab only reads, and leaves the moves, journal and migrations to the writer.
+     * @returns {Promise<string>} The storage backend in use
+     */
+    async function init() {
+        initStorage();
+
+        try {
+            db = await openDatabase();
+            let stored = await readDatabase();
+
+            // First run with IndexedDB: migrate the old localStorage entry
+            const legacy = localStorage.getItem(STORAGE_KEY);
+            if (!stored && legacy) {
+                stored = JSON.parse(legacy);
+                if (!readOnly) {
+                    await writeDatabase(stored);
+                    localStorage.removeItem(STORAGE_KEY);
+                }
+            }
+
+            cachedState = await applyJournal(stored);
+        } catch (error) {
+            console.warn('IndexedDB unavailable, using localStorage:', error);
+            db = null;
+            cachedState = null;
         }
+
+        await runMigrations();
+        await loadLastRestorePoint();
+
+        return db ? 'indexedDB' : 'localStorage';
+    }
+
+    /**
+     * Key for the unload journal (see saveImmediate)
+     * @returns {string}
+     */
+    function getJournalKey() {
+        return `${STORAGE_KEY}_journal`;
+    }
+
+    /**
+     * Open (and create if needed) the IndexedDB database
+     * @returns {Promise<IDBDatabase>}
+     */
+    function openDatabase() {
+        return new Promise((resolve, reject) => {
+            if (typeof indexedDB === 'undefined') {
+                reject(new Error('IndexedDB is not supported'));
+                return;
+            }
+
+            const request = indexedDB.open(STORAGE_KEY, DB_VERSION);
+            request.onupgradeneeded = () => {
+                const database = request.result;
+                if (!database.objectStoreNames.contains(STATE_STORE)) {
+                    database.createObjectStore(STATE_STORE);
+                }
+                if (!database.objectStoreNames.contains(ACTIVITY_STORE)) {
+                    database.createObjectStore(ACTIVITY_STORE);
+                }
+                if (!database.objectStoreNames.contains(BACKUP_STORE)) {
+                    database.createObjectStore(BACKUP_STORE);
+                }
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+            request.onblocked = () => reject(new Error('IndexedDB upgrade blocked'));
+        });
+    }
+
+    /**
+     * Read the stored state back together
+     * @returns {Promise<Object|null>} State, or null if nothing is stored
+     */
+    function readDatabase() {
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction([STATE_STORE, ACTIVITY_STORE], 'readonly');
+            const stateStore = tx.objectStore(STATE_STORE);
+            const keysRequest = stateStore.getAllKeys();
+            const valuesRequest = stateStore.getAll();
+            const activityRequest = tx.objectStore(ACTIVITY_STORE).getAll();
+
+            tx.oncomplete = () => {
+                const parts = {};
+                keysRequest.result.forEach((key, index) => {
+                    parts[key] = valuesRequest.result[index];
+                });
+                if (!parts.core) {
+                    resolve(null);
+                    return;
+                }
+
+                // Remember what is stored so the next save only writes changes
+                writtenParts = {};
+                Object.keys(parts).forEach(name => {
+                    writtenParts[name] = JSON.stringify(parts[name]);
+                });
+                const activity = activityRequest.result;
+                writtenActivity = {
+                    count: activity.length,
+                    last: activity.length > 0 ? JSON.stringify(activity[activity.length - 1]) : null
+                };
+
+                const { core, ...rest } = parts;
+                resolve({ ...core, ...rest, activity });
+            };
+            tx.onerror = () => reject(tx.error);
+        });
+    }
+
+    /**
+     * First activity index that still needs writing (0 if the log was replaced)
+     * @param {Array} activity
+     * @returns {number}
+     */
+    function getActivityWriteStart(activity) {
+        const count = writtenActivity.count;
+        const lastMatches = count === 0
+            ? writtenActivity.last === null
+            : activity.length >= count && JSON.stringify(activity[count - 1]) === writtenActivity.last;
+        return lastMatches ? count : 0;
+    }
+
+    /**
+     * Write only the parts of the state that changed since the last write
+     * @param {Object} state
+     * @returns {Promise<void>}
+     */
+    function writeDatabase(state) {
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction([STATE_STORE, ACTIVITY_STORE], 'readwrite');
+            const stateStore = tx.objectStore(STATE_STORE);
+            const activityStore = tx.objectStore(ACTIVITY_STORE);
+            const { activity = [], ...rest } = state;
+
+            const parts = { core: {} };
+            Object.keys(rest).forEach(key => {
+                if (STATE_PARTS.includes(key)) parts[key] = rest[key];
+                else parts.core[key] = rest[key];
+            });
+            Object.keys(parts).forEach(name => {
+                const json = JSON.stringify(parts[name]);
+                if (json !== undefined && writtenParts[name] !== json) {
+                    stateStore.put(parts[name], name);
+                    writtenParts[name] = json;
+                }
+            });
+
+            // The activity log is append-only, so usually only new entries are added
+            const start = getActivityWriteStart(activity);
+            if (start === 0 && writtenActivity.count > 0) {
+                activityStore.clear();
+            }
+            for (let i = start; i < activity.length; i++) {
+                activityStore.put(activity[i], i);
+            }
+            writtenActivity = {
+                count: activity.length,
+                last: activity.length > 0 ? JSON.stringify(activity[activity.length - 1]) : null
+            };
+
+            tx.oncomplete = () => resolve();
+            tx.onerror = () => {
+                // Force a full rewrite next time
+                writtenParts = {};
+                writtenActivity = { count: 0, last: undefined };
+                reject(tx.error);
+            };
+            tx.onabort = tx.onerror;
+            if (tx.commit) tx.commit();
+        });
+    }
+
+    /**
+     * Apply a state saved to the unload journal that may not have reached IndexedDB
+     * A read-only tab only applies it in memory and leaves it for the writer.
+     * @param {Object|null} stored - State read from IndexedDB
+     * @returns {Promise<Object|null>}
+     */
+    async function applyJournal(stored) {
+        const journal = localStorage.getItem(getJournalKey());
+        if (!journal) return stored;
+
+        let result = stored;
+        try {
+            const { activityFrom = 0, ...saved } = JSON.parse(journal);
+            if (!stored || !stored.lastUpdated || saved.lastUpdated >= stored.lastUpdated) {
+                const storedActivity = stored ? stored.activity || [] : [];
+                result = { ...saved, activity: storedActivity.slice(0, activityFrom).concat(saved.activity || []) };
+                if (!readOnly) await writeDatabase(result);
+            }
+        } catch (error) {
+            console.error('Failed to apply the unload journal:', error);
+        }
+        if (!readOnly) localStorage.removeItem(getJournalKey());
+        return result;
     }
 
     /**
@@ -31,196 +346,1060 @@ const StorageManager = (function () {
         currentIndex: 0,
         seen: [],           // Array of movie IDs marked as seen
         notSeen: [],        // Array of movie IDs marked as not seen
-        history: [],        // Last N actions for undo (stores {id, action} objects)
+        watchlist: [],      // Array of movie IDs marked as want to watch
+        scores: {},         // Personal 1-10 scores for seen movies, keyed by movie ID
+        deferred: [],       // "Ask me later" queue ({id, returnAfter} objects, returnAfter = rated count)
+        order: { mode: 'chronological', seed: null }, // Deck ordering mode and shuffle seed
+        eraFilter: [],      // Era IDs the deck is limited to (empty = all eras)
+        eraPositions: {},   // Resume position per era filter
+        history: [],        // Last N actions for undo ({id, action, streak} objects; defer entries have no streak)
+        activity: [],       // Append-only rating log ([time in seconds, id, code] entries)
         lastUpdated: null,
-        version: 1
+        version: STATE_VERSION
     };
 
+    // ===== SCHEMA MIGRATIONS =====
+
+    /**
+     * Ordered migration steps. Each one upgrades a state from (version - 1) to version.
+     * Any change to the state shape must bump STATE_VERSION and add a step here.
+     */
+    const MIGRATIONS = [
+        {
+            version: 2,
+            description: 'Add the fields introduced after version 1',
+            migrate(state) {
+                const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+                return {
+                    ...state,
+                    seen: Array.isArray(state.seen) ? state.seen : [],
+                    notSeen: Array.isArray(state.notSeen) ? state.notSeen : [],
+                    watchlist: Array.isArray(state.watchlist) ? state.watchlist : [],
+                    scores: isObject(state.scores) ? state.scores : {},
+                    deferred: Array.isArray(state.deferred) ? state.deferred.filter(entry => isObject(entry) && entry.id !== undefined) : [],
+                    order: isObject(state.order) && state.order.mode ? state.order : { ...defaultState.order },
+                    eraFilter: Array.isArray(state.eraFilter) ? state.eraFilter : [],
+                    eraPositions: isObject(state.eraPositions) ? state.eraPositions : {},
+                    history: Array.isArray(state.history) ? state.history : [],
+                    activity: Array.isArray(state.activity) ? state.activity : []
+                };
+            }
+        },
+        {
+            version: 3,
+            description: 'Keep the streak from before each rating on its undo history entry',
+            migrate(state) {
+                const history = Array.isArray(state.history) ? state.history : [];
+                return {
+                    ...state,
+                    history: history
+                        .filter(entry => entry && typeof entry === 'object' && entry.id !== undefined && entry.action)
+                        .map(entry => (entry.action === 'defer' || typeof entry.streak === 'number'
+                            ? entry
+                            : { ...entry, streak: 0 }))
+                };
+            }
+        }
+    ];
+
+    /**
+     * Run every migration step newer than the state's version, in order
+     * A failing step stops the chain; the state keeps the steps that succeeded.
+     * @param {Object} state
+     * @returns {Object} { state, report: { from, to, applied: [versions], error } }
+     */
+    function migrateState(state) {
+        const from = Number.isInteger(state.version) ? state.version : 1;
+        const report = { from, to: from, applied: [], error: null };
+        let current = { ...state, version: from };
+
+        if (from > STATE_VERSION) {
+            report.error = `Saved progress is from a newer version of the app (v${from}).`;
+            return { state: current, report };
+        }
+
+        for (const step of MIGRATIONS) {
+            if (step.version <= current.version) continue;
+            try {
+                current = { ...step.migrate(current), version: step.version };
+                report.applied.push(step.version);
+                report.to = step.version;
+            } catch (error) {
+                console.error(`State migration to v${step.version} failed:`, error);
+                report.error = `Upgrade to v${step.version} (${step.description}) failed: ${error.message}`;
+                break;
+            }
+        }
+
+        return { state: current, report };
+    }
+
+    /**
+     * Keep a copy of a stored state (IndexedDB backups store, or localStorage)
+     * @param {string} name - Backup name
+     * @param {Object} state
+     * @returns {Promise<string|null>} Where the backup was written, or null on failure
+     */
+    function backupState(name, state) {
+        const backup = { savedAt: new Date().toISOString(), state };
+
+        if (db) {
+            return new Promise(resolve => {
+                const tx = db.transaction(BACKUP_STORE, 'readwrite');
+                tx.objectStore(BACKUP_STORE).put(backup, name);
+                tx.oncomplete = () => resolve(`indexedDB:${BACKUP_STORE}/${name}`);
+                tx.onerror = () => {
+                    console.error('Failed to back up state:', tx.error);
+                    resolve(null);
+                };
+            });
+        }
+
+        const key = `${STORAGE_KEY}_backup_${name}`;
+        try {
+            localStorage.setItem(key, JSON.stringify(backup));
+            return Promise.resolve(`localStorage:${key}`);
+        } catch (error) {
+            console.error('Failed to back up state:', error);
+            return Promise.resolve(null);
+        }
+    }
+
+    /**
+     * Upgrade the saved state to STATE_VERSION, backing up the original first
+     * Nothing is overwritten unless the backup succeeded.
+     */
+    async function runMigrations() {
+        migrationReport = null;
+
+        let stored = cachedState;
+        if (!db) {
+            try {
+                const saved = localStorage.getItem(STORAGE_KEY);
+                stored = saved ? JSON.parse(saved) : null;
+            } catch (error) {
+                console.error('Failed to read progress for migration:', error);
+                return;
+            }
+        }
+        if (!stored) return;
+
+        const { state, report } = migrateState(stored);
+        if (report.applied.length === 0 && !report.error) return;
+
+        migrationReport = report;
+
+        // The writer tab backs up and saves the upgrade; a read-only tab uses it for this session only
+        if (readOnly) {
+            if (db && report.applied.length > 0) cachedState = state;
+            return;
+        }
+
+        report.backup = await backupState(`pre-migration-v${report.from}`, stored);
+
+        if (report.applied.length === 0) return;
+        if (!report.backup) {
+            report.error = report.error || 'Could not back up saved progress, so the upgrade was not saved.';
+            if (db) cachedState = state; // Use the upgraded copy for this session only
+            return;
+        }
+
+        if (db) {
+            cachedState = state;
+            try {
+                await writeDatabase(state);
+            } catch (error) {
+                console.error('Failed to save migrated progress:', error);
+            }
+        } else {
+            writeState(state);
+        }
+    }
+
+    /**
+     * Get the result of the last migration run
+     * @returns {Object|null} { from, to, applied, error, backup } or null if nothing needed upgrading
+     */
+    function getMigrationReport() {
+        return migrationReport;
+    }
+
+    // ===== RESTORE POINTS =====
+
+    const RESTORE_PREFIX = 'restore-';
+
+    /**
+     * localStorage key for restore points when IndexedDB is unavailable
+     * @returns {string}
+     */
+    function getRestorePointsKey() {
+        return `${STORAGE_KEY}_restore_points`;
+    }
+
+    /**
+     * @param {Object} state
+     * @returns {number} Rated items (seen, not seen and watchlist)
+     */
+    function countRated(state) {
+        return (state.seen || []).length + (state.notSeen || []).length + (state.watchlist || []).length;
+    }
+
+    /**
+     * @param {number} time - Milliseconds
+     * @returns {string} Local calendar day
+     */
+    function getDay(time) {
+        return new Date(time).toDateString();
+    }
+
+    /**
+     * Read all restore points, newest first
+     * @returns {Promise<Array>} { id, createdAt, reason, counts, state } objects
+     */
+    function readRestorePoints() {
+        if (db) {
+            return new Promise(resolve => {
+                const tx = db.transaction(BACKUP_STORE, 'readonly');
+                const request = tx.objectStore(BACKUP_STORE).getAll(IDBKeyRange.bound(RESTORE_PREFIX, RESTORE_PREFIX + '\uffff'));
+                tx.oncomplete = () => resolve(request.result.sort((a, b) => b.createdAt - a.createdAt));
+                tx.onerror = () => {
+                    console.error('Failed to read restore points:', tx.error);
+                    resolve([]);
+                };
+            });
+        }
+
+        try {
+            const saved = JSON.parse(localStorage.getItem(getRestorePointsKey()));
+            return Promise.resolve(Array.isArray(saved) ? saved : []);
+        } catch (error) {
+            console.error('Failed to read restore points:', error);
+            return Promise.resolve([]);
+        }
+    }
+
+    /**
+     * Store a new restore point and drop the oldest beyond the limit
+     * @param {Object} point
+     * @param {Array} existing - Current restore points, newest first
+     * @returns {Promise<boolean>}
+     */
+    function writeRestorePoint(point, existing) {
+        const kept = [point, ...existing];
+        const dropped = kept.splice(RESTORE_POINTS_MAX);
+
+        if (db) {
+            return new Promise(resolve => {
+                const tx = db.transaction(BACKUP_STORE, 'readwrite');
+                const store = tx.objectStore(BACKUP_STORE);
+                store.put(point, point.id);
+                dropped.forEach(old => store.delete(old.id));
+                tx.oncomplete = () => resolve(true);
+                tx.onerror = () => {
+                    console.error('Failed to save restore point:', tx.error);
+                    resolve(false);
+                };
+            });
+        }
+
+        // localStorage is small, so give up the oldest points until the new one fits
+        while (kept.length > 0) {
+            try {
+                localStorage.setItem(getRestorePointsKey(), JSON.stringify(kept));
+                return Promise.resolve(true);
+            } catch (error) {
+                if (error.name !== 'QuotaExceededError') {
+                    console.error('Failed to save restore point:', error);
+                    return Promise.resolve(false);
+                }
+                kept.pop();
+            }
+        }
+        return Promise.resolve(false);
+    }
+
+    /**
+     * Save a snapshot of a state that can be restored later
+     * @param {Object} state
+     * @param {string} reason - 'reset', 'import', 'restore', 'daily' or 'ratings'
+     * @returns {Promise<Object|null>} Summary of the restore point, or null if it wasn't saved
+     */
+    async function createRestorePoint(state, reason) {
+        if (readOnly || !state) return null;
+
+        const createdAt = Date.now();
+        const summary = {
+            id: `${RESTORE_PREFIX}${createdAt}-${++restorePointCount}`,
+            createdAt,
+            reason,
+            counts: {
+                seen: (state.seen || []).length,
+                notSeen: (state.notSeen || []).length,
+                watchlist: (state.watchlist || []).length
+            }
+        };
+        const point = { ...summary, state: { ...state, version: state.version || STATE_VERSION } };
+        // Set before writing so a burst of saves doesn't start several automatic points
+        lastRestorePoint = { day: getDay(createdAt), rated: countRated(state) };
+
+        const saved = await writeRestorePoint(point, await readRestorePoints());
+        return saved ? summary : null;
+    }
+
     /**
-     * Load state from localStorage
+     * Remember when the newest restore point was made (for automatic points)
+     */
+    async function loadLastRestorePoint() {
+        const [newest] = await readRestorePoints();
+        lastRestorePoint = newest
+            ? { day: getDay(newest.createdAt), rated: countRated(newest.state) }
+            : { day: null, rated: 0 };
+    }
+
+    /**
+     * Make an automatic restore point once a day and every RESTORE_POINT_EVERY ratings
+     * @param {Object} state - State being saved
+     */
+    function checkRestorePoint(state) {
+        if (!lastRestorePoint) return;
+
+        const rated = countRated(state);
+        // Count from the lowest point since the last snapshot (ratings can be cleared)
+        lastRestorePoint.rated = Math.min(lastRestorePoint.rated, rated);
+
+        let reason = null;
+        if (lastRestorePoint.day !== getDay(Date.now())) {
+            reason = 'daily';
+        } else if (RESTORE_POINT_EVERY > 0 && rated - lastRestorePoint.rated >= RESTORE_POINT_EVERY) {
+            reason = 'ratings';
+        }
+        if (!reason) return;
+
+        // Runs alongside the save; the database can close mid-write (profile switch, tab handover)
+        createRestorePoint(state, reason).catch(error => {
+            console.error('Failed to create restore point:', error);
+        });
+    }
+
+    /**
+     * List restore points, newest first
+     * @returns {Promise<Array>} { id, createdAt, reason, counts } objects
+     */
+    async function listRestorePoints() {
+        const points = await readRestorePoints();
+        return points.map(({ state, ...summary }) => summary);
+    }
+
+    /**
+     * Get the state saved in a restore point, upgraded to the current version
+     * @param {string} id
+     * @returns {Promise<Object|null>}
+     */
+    async function getRestorePoint(id) {
+        const point = (await readRestorePoints()).find(entry => entry.id === id);
+        return point ? withDefaults(point.state) : null;
+    }
+
+    /**
+     * Fill in defaults and migrate old versions
+     * @param {Object|null} parsed - Stored state
+     * @returns {Object}
+     */
+    function withDefaults(parsed) {
+        if (!parsed) {
+            return { ...defaultState };
+        }
+
+        return {
+            ...defaultState,
+            scores: {},
+            deferred: [],
+            activity: [],
+            ...migrateState(parsed).state
+        };
+    }
+
+    /**
+     * Load saved state
      * @returns {Object} The saved state or default state
      */
     function load() {
+        if (db) {
+            return withDefaults(cachedState ? { ...cachedState } : null);
+        }
+
         try {
             const saved = localStorage.getItem(STORAGE_KEY);
-            if (!saved) {
-                return { ...defaultState };
+            return withDefaults(saved ? JSON.parse(saved) : null);
+        } catch (error) {
+            console.error('Failed to load progress from localStorage:', error);
+            return { ...defaultState };
+        }
+    }
+
+    /**
+     * Write a state to the active backend
+     * @param {Object} state
+     */
+    function writeState(state) {
+        if (db) {
+            writeDatabase(state).catch(error => {
+                console.error('Failed to save progress to IndexedDB:', error);
+            });
+            return;
+        }
+
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(state));
+        } catch (error) {
+            console.error('Failed to save progress to localStorage:', error);
+
+            // Handle quota exceeded
+            if (error.name === 'QuotaExceededError') {
+                // Trim history to make room
+                const trimmed = { ...state, history: (state.history || []).slice(-50) };
+                try {
+                    localStorage.setItem(STORAGE_KEY, JSON.stringify(trimmed));
+                } catch (e) {
+                    console.error('Still cannot save after trimming history:', e);
+                }
             }
+        }
+    }
+
+    /**
+     * Save state (debounced)
+     * @param {Object} state - The state to save
+     */
+    function save(state) {
+        if (readOnly) return;
+
+        pendingState = {
+            ...state,
+            lastUpdated: new Date().toISOString(),
+            version: STATE_VERSION
+        };
+        checkRestorePoint(pendingState);
+        if (db) {
+            cachedState = pendingState;
+        }
+
+        // Debounce writes to avoid blocking main thread
+        if (saveTimeout) {
+            clearTimeout(saveTimeout);
+        }
+
+        saveTimeout = setTimeout(() => {
+            writeState(pendingState);
+            pendingState = null;
+            saveTimeout = null;
+        }, SAVE_DEBOUNCE_MS);
+    }
+
+    /**
+     * Force immediate save (for before page unload)
+     * IndexedDB writes are asynchronous and may not finish while the page closes,
+     * so the state is also journaled to localStorage and replayed on the next init.
+     */
+    function saveImmediate(state) {
+        if (readOnly) return;
+
+        if (saveTimeout) {
+            clearTimeout(saveTimeout);
+            saveTimeout = null;
+        }
+
+        const finalState = state || pendingState;
+        pendingState = null;
+        if (!finalState) return;
+
+        const stamped = {
+            ...finalState,
+            lastUpdated: new Date().toISOString(),
+            version: STATE_VERSION
+        };
+
+        if (db) {
+            cachedState = stamped;
+            const activity = stamped.activity || [];
+            const activityFrom = getActivityWriteStart(activity);
+            try {
+                // Only the activity entries not yet in IndexedDB, to keep the journal small
+                localStorage.setItem(getJournalKey(), JSON.stringify({
+                    ...stamped,
+                    activity: activity.slice(activityFrom),
+                    activityFrom
+                }));
+            } catch (error) {
+                console.error('Failed to write the unload journal:', error);
+            }
+            writeState(stamped);
+            return;
+        }
+
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(stamped));
+        } catch (error) {
+            console.error('Failed to save on unload:', error);
+        }
+    }
+
+    /**
+     * Reset all progress
+     */
+    function reset() {
+        if (saveTimeout) {
+            clearTimeout(saveTimeout);
+            saveTimeout = null;
+        }
+        pendingState = null;
+
+        if (db) {
+            cachedState = null;
+            writtenParts = {};
+            writtenActivity = { count: 0, last: null };
+            try {
+                const tx = db.transaction([STATE_STORE, ACTIVITY_STORE], 'readwrite');
+                tx.objectStore(STATE_STORE).clear();
+                tx.objectStore(ACTIVITY_STORE).clear();
+            } catch (error) {
+                console.error('Failed to reset progress in IndexedDB:', error);
+            }
+        }
+
+        try {
+            localStorage.removeItem(STORAGE_KEY);
+            localStorage.removeItem(getJournalKey());
+        } catch (error) {
+            console.error('Failed to reset progress:', error);
+        }
+        return { ...defaultState };
+    }
+
+    /**
+     * Get statistics from current state
+     * @param {Object} state
+     * @returns {Object} Statistics
+     */
+    function getStats(state) {
+        // Ensure we have latest config values
+        initStorage();
+
+        const watchlist = state.watchlist || [];
+        const total = state.seen.length + state.notSeen.length + watchlist.length;
+        const seenCount = state.seen.length;
+        const percentComplete = total > 0 ? Math.round((total / totalCount) * 100) : 0;
+        const percentSeen = total > 0 ? Math.round((seenCount / total) * 100) : 0;
+
+        // Only count scores for items still marked as seen
+        const scoreValues = state.seen
+            .map(id => (state.scores || {})[id])
+            .filter(score => score >= 1 && score <= 10);
+        const averageScore = scoreValues.length > 0
+            ? Math.round((scoreValues.reduce((sum, score) => sum + score, 0) / scoreValues.length) * 10) / 10
+            : null;
+
+        return {
+            total,
+            seenCount,
+            notSeenCount: state.notSeen.length,
+            watchlistCount: watchlist.length,
+            deferredCount: (state.deferred || []).length,
+            percentComplete,
+            percentSeen,
+            scoredCount: scoreValues.length,
+            averageScore,
+            ratedThisWeek: countRecentRatings(state.activity || [], 7),
+            remaining: totalCount - total
+        };
+    }
+
+    /**
+     * Count items rated in the last N days that were not later undone or cleared
+     * @param {Array} activity - Activity log
+     * @param {number} days
+     * @returns {number}
+     */
+    function countRecentRatings(activity, days) {
+        const since = Math.floor(Date.now() / 1000) - days * 86400;
+        const recent = new Map();
+        activity.forEach(([time, id, code]) => {
+            if (code === 's' || code === 'n' || code === 'w') {
+                if (time >= since) recent.set(id, code);
+                else recent.delete(id);
+            } else if (code === 'u' || code === 'c') {
+                recent.delete(id);
+            }
+        });
+        return recent.size;
+    }
+
+    // ===== PASSPHRASE ENCRYPTION =====
+
+    // Encrypted codes are this prefix + base64url(salt | iv | AES-GCM ciphertext).
+    // Plain codes are base64 and never contain '.', so the prefix can't clash.
+    const ENCRYPTED_PREFIX = 'e1.';
+    const PBKDF2_ITERATIONS = 600000;
+    const SALT_BYTES = 16;
+    const IV_BYTES = 12;
+
+    /**
+     * Check browser support (WebCrypto needs a secure context)
+     * @returns {boolean}
+     */
+    function isEncryptionSupported() {
+        return typeof crypto !== 'undefined' && !!crypto.subtle;
+    }
+
+    /**
+     * Check whether an export code is passphrase-encrypted
+     * @param {string} code
+     * @returns {boolean}
+     */
+    function isEncrypted(code) {
+        return typeof code === 'string' && code.startsWith(ENCRYPTED_PREFIX);
+    }
+
+    /**
+     * @param {Uint8Array} bytes
+     * @returns {string} Binary string (one char per byte), as atob/btoa use
+     */
+    function bytesToBinary(bytes) {
+        let binary = '';
+        const CHUNK = 0x8000; // Keep apply() under the argument limit
+        for (let i = 0; i < bytes.length; i += CHUNK) {
+            binary += String.fromCharCode.apply(null, bytes.subarray(i, i + CHUNK));
+        }
+        return binary;
+    }
+
+    /**
+     * @param {string} binary
+     * @returns {Uint8Array}
+     */
+    function binaryToBytes(binary) {
+        return Uint8Array.from(binary, char => char.charCodeAt(0));
+    }
+
+    /**
+     * Derive an AES-GCM key from a passphrase
+     * @param {string} passphrase
+     * @param {Uint8Array} salt
+     * @returns {Promise<CryptoKey>}
+     */
+    async function deriveKey(passphrase, salt) {
+        const material = await crypto.subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+        return crypto.subtle.deriveKey(
+            { name: 'PBKDF2', salt, iterations: PBKDF2_ITERATIONS, hash: 'SHA-256' },
+            material,
+            { name: 'AES-GCM', length: 256 },
+            false,
+            ['encrypt', 'decrypt']
+        );
+    }
+
+    /**
+     * Encrypt an export code with a passphrase
+     * The code's base64 is decoded first, so encrypting doesn't grow it by another third.
+     * @param {string} code - Plain export code
+     * @param {string} passphrase
+     * @returns {Promise<string>} URL-safe encrypted code
+     */
+    async function encryptCode(code, passphrase) {
+        const salt = crypto.getRandomValues(new Uint8Array(SALT_BYTES));
+        const iv = crypto.getRandomValues(new Uint8Array(IV_BYTES));
+        const key = await deriveKey(passphrase, salt);
+        // LZString pads some codes to an invalid length (4n+1 characters and '==='); fill the
+        // last group with a zero sextet instead, which the decompressor ignores after its end marker
+        const digits = code.replace(/=+$/, '');
+        const padded = digits.length % 4 === 1 ? `${digits}A==` : digits + '='.repeat((4 - digits.length % 4) % 4);
+        const ciphertext = new Uint8Array(await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, binaryToBytes(atob(padded))));
+
+        const payload = new Uint8Array(SALT_BYTES + IV_BYTES + ciphertext.length);
+        payload.set(salt);
+        payload.set(iv, SALT_BYTES);
+        payload.set(ciphertext, SALT_BYTES + IV_BYTES);
+
+        const base64 = btoa(bytesToBinary(payload));
+        return ENCRYPTED_PREFIX + base64.replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+    }
+
+    /**
+     * Decrypt an encrypted export code
+     * @param {string} code - Code starting with ENCRYPTED_PREFIX
+     * @param {string} passphrase
+     * @returns {Promise<string|null>} Plain export code, or null if the passphrase is wrong or the code damaged
+     */
+    async function decryptCode(code, passphrase) {
+        try {
+            const base64 = code.slice(ENCRYPTED_PREFIX.length).replace(/-/g, '+').replace(/_/g, '/');
+            const payload = binaryToBytes(atob(base64));
+            const salt = payload.subarray(0, SALT_BYTES);
+            const iv = payload.subarray(SALT_BYTES, SALT_BYTES + IV_BYTES);
+            const key = await deriveKey(passphrase, salt);
+            const plain = await crypto.subtle.decrypt({ name: 'AES-GCM', iv }, key, payload.subarray(SALT_BYTES + IV_BYTES));
+            return btoa(bytesToBinary(new Uint8Array(plain)));
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Ask for the passphrase of an encrypted code until it decrypts or the user gives up
+     * @param {string} code - Encrypted code
+     * @param {Function} [getPassphrase] - Called with { retry }; resolves to the passphrase, or null to cancel
+     * @returns {Promise<string|null>} Plain export code, or null if cancelled or unsupported
+     */
+    async function decryptWithPrompt(code, getPassphrase) {
+        if (!getPassphrase || !isEncryptionSupported()) return null;
+
+        let retry = false;
+        for (;;) {
+            const passphrase = await getPassphrase({ retry });
+            if (passphrase === null || passphrase === undefined) return null;
 
-            const parsed = JSON.parse(saved);
+            const plain = await decryptCode(code, passphrase);
+            if (plain !== null) return plain;
+            retry = true;
+        }
+    }
 
-            // Migrate old versions if needed
-            if (!parsed.version) {
-                parsed.version = 1;
-                parsed.history = parsed.history || [];
-            }
+    // ===== MULTI-PART CODES =====
 
-            return {
-                ...defaultState,
-                ...parsed
-            };
-        } catch (error) {
-            console.error('Failed to load progress from localStorage:', error);
-            return { ...defaultState };
+    // A code too long for one QR code is split into parts "<set>.<part>.<total>.<chunk>",
+    // where the set ID is a hash of the whole code. Parts can arrive in any order.
+    const PART_PATTERN = /^([0-9a-z]+)\.(\d+)\.(\d+)\.(.+)$/;
+
+    /**
+     * Short hash of a string (32-bit FNV-1a)
+     * @param {string} text
+     * @returns {string} Base-36 hash
+     */
+    function hashString(text) {
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
         }
+        return (hash >>> 0).toString(36);
     }
 
     /**
-     * Save state to localStorage (debounced)
-     * @param {Object} state - The state to save
+     * Split a share URL's code into numbered part links
+     * @param {string} shareURL - From generateShareURL
+     * @param {number} partSize - Characters of the code per part
+     * @returns {Array<string>} One link per part
      */
-    function save(state) {
-        pendingState = {
-            ...state,
-            lastUpdated: new Date().toISOString()
-        };
+    function splitShareURL(shareURL, partSize) {
+        const [baseURL, query] = shareURL.split('?');
+        const code = new URLSearchParams(query).get('p');
+        const total = Math.ceil(code.length / partSize);
+        const setId = hashString(code);
 
-        // Debounce writes to avoid blocking main thread
-        if (saveTimeout) {
-            clearTimeout(saveTimeout);
-        }
+        return Array.from({ length: total }, (_, i) => {
+            const part = `${setId}.${i + 1}.${total}.${code.slice(i * partSize, (i + 1) * partSize)}`;
+            return `${baseURL}?part=${encodeURIComponent(part)}`;
+        });
+    }
 
-        saveTimeout = setTimeout(() => {
+    /**
+     * Read a code part from a part link or bare part text
+     * @param {string} text
+     * @returns {Object|null} { setId, index, total, chunk }, or null if it isn't a part
+     */
+    function parseCodePart(text) {
+        let value = String(text || '').trim();
+        const link = value.match(/[?&]part=([^&#\s]+)/);
+        if (link) {
             try {
-                localStorage.setItem(STORAGE_KEY, JSON.stringify(pendingState));
-                pendingState = null;
+                value = decodeURIComponent(link[1]);
             } catch (error) {
-                console.error('Failed to save progress to localStorage:', error);
-
-                // Handle quota exceeded
-                if (error.name === 'QuotaExceededError') {
-                    // Trim history to make room
-                    pendingState.history = pendingState.history.slice(-50);
-                    try {
-                        localStorage.setItem(STORAGE_KEY, JSON.stringify(pendingState));
-                    } catch (e) {
-                        console.error('Still cannot save after trimming history:', e);
-                    }
-                }
+                return null;
             }
-        }, SAVE_DEBOUNCE_MS);
+        }
+
+        const match = value.match(PART_PATTERN);
+        if (!match) return null;
+
+        const index = parseInt(match[2], 10);
+        const total = parseInt(match[3], 10);
+        if (index < 1 || index > total) return null;
+        return { setId: match[1], index, total, chunk: match[4] };
     }
 
     /**
-     * Force immediate save (for before page unload)
+     * Collect a code part
+     * Parts wait in localStorage, since each scanned part link opens the app afresh.
+     * A part from a different set starts over.
+     * @param {Object} part - From parseCodePart
+     * @returns {Object} { received, total, code, corrupted } - code is set once every part is in
      */
-    function saveImmediate(state) {
-        if (saveTimeout) {
-            clearTimeout(saveTimeout);
-            saveTimeout = null;
+    function addCodePart(part) {
+        const key = `${STORAGE_KEY}_code_parts`;
+        let set = null;
+        try {
+            set = JSON.parse(localStorage.getItem(key));
+        } catch (error) {
+            set = null;
+        }
+        if (!set || set.setId !== part.setId || set.total !== part.total) {
+            set = { setId: part.setId, total: part.total, chunks: {} };
         }
+        set.chunks[part.index] = part.chunk;
 
-        const finalState = state || pendingState;
-        if (finalState) {
+        const received = Object.keys(set.chunks).length;
+        if (received < set.total) {
             try {
-                localStorage.setItem(STORAGE_KEY, JSON.stringify({
-                    ...finalState,
-                    lastUpdated: new Date().toISOString()
-                }));
+                localStorage.setItem(key, JSON.stringify(set));
             } catch (error) {
-                console.error('Failed to save on unload:', error);
+                console.error('Failed to keep code part:', error);
             }
+            return { received, total: set.total, code: null, corrupted: false };
         }
+
+        localStorage.removeItem(key);
+        let code = '';
+        for (let i = 1; i <= set.total; i++) code += set.chunks[i];
+
+        const corrupted = hashString(code) !== set.setId;
+        return { received, total: set.total, code: corrupted ? null : code, corrupted };
     }
 
+    // ===== BACKUP FILES =====
+
+    // A backup file is JSON: a human-readable header, metadata, the full state and
+    // gamification (or both encrypted), and a checksum of everything but the header.
+    const BACKUP_FORMAT = 'movie-challenge-backup';
+    const BACKUP_FORMAT_VERSION = 1;
+
     /**
-     * Reset all progress
+     * Build a backup file
+     * @param {Object} state - Current game state
+     * @param {Object} options
+     * @param {Array<string>} options.header - Summary lines shown at the top of the file
+     * @param {Object} [options.gamification] - From GamificationManager.getState
+     * @param {Object} [options.profile] - { name, emoji }
+     * @param {string} [options.passphrase] - Encrypt the state and gamification
+     * @returns {Promise<string>} File contents
      */
-    function reset() {
+    async function createBackupFile(state, options) {
+        const data = { state: { ...state, version: STATE_VERSION }, gamification: options.gamification || null };
+        const payload = options.passphrase
+            ? { encrypted: await encryptCode(LZString.compressToBase64(JSON.stringify(data)), options.passphrase) }
+            : data;
+
+        const content = {
+            format: BACKUP_FORMAT,
+            formatVersion: BACKUP_FORMAT_VERSION,
+            createdAt: new Date().toISOString(),
+            profile: options.profile || null,
+            fingerprint: getFingerprint(),
+            stateVersion: STATE_VERSION,
+            ...payload
+        };
+        const checksum = hashString(JSON.stringify(content));
+
+        // One top-level key per line and the header one line per entry, so the file reads well in an editor
+        const lines = [
+            `  "header": [\n${options.header.map(line => `    ${JSON.stringify(line)}`).join(',\n')}\n  ]`,
+            ...Object.entries({ ...content, checksum }).map(([key, value]) => `  ${JSON.stringify(key)}: ${JSON.stringify(value)}`)
+        ];
+        return `{\n${lines.join(',\n')}\n}\n`;
+    }
+
+    /**
+     * Read a backup file made by createBackupFile
+     * @param {string} text - File contents
+     * @param {Object} [options] - See importCompressed
+     * @returns {Promise<Object>} { imported, gamification, error } - imported is a state with an
+     *     importInfo report (as from importCompressed), or null with an error message (none if cancelled)
+     */
+    async function readBackupFile(text, options = {}) {
+        const fail = error => ({ imported: null, gamification: null, error });
+
+        let backup = null;
         try {
-            localStorage.removeItem(STORAGE_KEY);
+            backup = JSON.parse(text);
         } catch (error) {
-            console.error('Failed to reset progress:', error);
+            backup = null;
         }
-        return { ...defaultState };
+        if (!backup || backup.format !== BACKUP_FORMAT) return fail("This isn't a backup file.");
+        if (backup.formatVersion > BACKUP_FORMAT_VERSION) return fail('This backup was made by a newer version of the app.');
+
+        const { header, checksum, ...content } = backup; // The header is a readable summary, not data
+        if (checksum !== hashString(JSON.stringify(content))) {
+            return fail('This backup file is damaged or was edited (its checksum does not match), so nothing was imported.');
+        }
+
+        let data = content;
+        if (content.encrypted) {
+            if (!isEncryptionSupported() || !options.getPassphrase) {
+                return fail('This backup is passphrase-protected. Open the app over HTTPS to restore it.');
+            }
+            const plain = await decryptWithPrompt(content.encrypted, options.getPassphrase);
+            if (!plain) return fail(null);
+            try {
+                data = JSON.parse(LZString.decompressFromBase64(plain));
+            } catch (error) {
+                data = null;
+            }
+        }
+        if (!data || !data.state || !Array.isArray(data.state.seen)) return fail('This backup file has no progress in it.');
+
+        const { state, report } = migrateState(data.state);
+        const imported = dropMissingItems(withDefaults(state), 'file', content.fingerprint === getFingerprint());
+        imported.importInfo.profile = content.profile ? content.profile.name : null;
+        imported.importInfo.migrationError = report.error;
+
+        return { imported, gamification: data.gamification || null, error: null };
     }
 
-    /**
-     * Get statistics from current state
-     * @param {Object} state
-     * @returns {Object} Statistics
-     */
-    function getStats(state) {
-        // Ensure we have latest config values
-        initStorage();
+    // ===== COMPRESSED EXPORT/IMPORT (v3) =====
 
-        const total = state.seen.length + state.notSeen.length;
-        const seenCount = state.seen.length;
-        const percentComplete = total > 0 ? Math.round((total / totalCount) * 100) : 0;
-        const percentSeen = total > 0 ? Math.round((seenCount / total) * 100) : 0;
+    // Newest export code format this version can read
+    const CODE_VERSION = 3;
+    const UNREADABLE_CODE = "This code couldn't be read. Make sure it was copied completely, then try again.";
 
-        return {
-            total,
-            seenCount,
-            notSeenCount: state.notSeen.length,
-            percentComplete,
-            percentSeen,
-            remaining: totalCount - total
-        };
+    /**
+     * Get items from ItemManager if available, otherwise fallback to MOVIES
+     * @returns {Array}
+     */
+    function getItems() {
+        return (typeof ItemManager !== 'undefined' && ItemManager.isInitialized)
+            ? ItemManager.getAll()
+            : (typeof MOVIES !== 'undefined' ? MOVIES : []);
     }
 
-    // ===== COMPRESSED EXPORT/IMPORT (v2) =====
+    /**
+     * Get the configured ID field
+     * @returns {string}
+     */
+    function getIdField() {
+        return (typeof ConfigLoader !== 'undefined' && ConfigLoader.isInitialized)
+            ? ConfigLoader.get().data.idField
+            : 'id';
+    }
 
     /**
-     * Export progress as a compressed string
-     * Uses bit array + LZ-String for ~50x compression
-     * @param {Object} state - Current game state
-     * @returns {string} Compressed export code
+     * Fingerprint of the current item list, or null if items aren't loaded
+     * @returns {string|null}
      */
-    function exportCompressed(state) {
-        try {
-            // Ensure we have latest config values
-            initStorage();
+    function getFingerprint() {
+        return (typeof ItemManager !== 'undefined' && ItemManager.isInitialized)
+            ? ItemManager.getFingerprint()
+            : null;
+    }
 
-            // Create sets for O(1) lookup
-            const seenSet = new Set(state.seen);
-            const notSeenSet = new Set(state.notSeen);
+    /**
+     * Encode IDs compactly: sorted numeric IDs become base-36 gaps ("12,5,1k"),
+     * anything else is kept as a plain array
+     * @param {Array} ids - IDs in ascending order if numeric
+     * @returns {string|Array}
+     */
+    function encodeIds(ids) {
+        const numeric = ids.every(id => Number.isInteger(id) && id >= 0);
+        if (!numeric) return ids;
 
-            // Build bit array: 2 bits per item
-            // 00 = not rated, 01 = seen, 10 = not seen
-            const totalItems = totalCount;
-            const bitsPerItem = 2;
-            const totalBytes = Math.ceil((totalItems * bitsPerItem) / 8);
-            const bytes = new Uint8Array(totalBytes);
+        let previous = 0;
+        return ids.map(id => {
+            const gap = id - previous;
+            previous = id;
+            return gap.toString(36);
+        }).join(',');
+    }
 
-            // Get items from ItemManager if available, otherwise fallback to MOVIES
-            const items = (typeof ItemManager !== 'undefined' && ItemManager.isInitialized)
-                ? ItemManager.getAll()
-                : (typeof MOVIES !== 'undefined' ? MOVIES : []);
+    /**
+     * Decode IDs written by encodeIds
+     * @param {string|Array} encoded
+     * @returns {Array}
+     */
+    function decodeIds(encoded) {
+        if (Array.isArray(encoded)) return encoded;
+        if (typeof encoded !== 'string' || encoded === '') return [];
 
-            const config = (typeof ConfigLoader !== 'undefined' && ConfigLoader.isInitialized)
-                ? ConfigLoader.get()
-                : { data: { idField: 'id' } };
+        let previous = 0;
+        return encoded.split(',').map(gap => {
+            previous += parseInt(gap, 36);
+            return previous;
+        });
+    }
 
-            items.forEach((item, index) => {
-                if (index >= totalItems) return;
+    /**
+     * Export progress as a compressed string
+     * @param {Object} state - Current game state
+     * @param {Object} [options]
+     * @param {boolean} [options.includeActivity=false] - Add the activity log (full exports only, too big for QR codes)
+     * @param {string} [options.passphrase] - Encrypt the code with this passphrase
+     * @returns {Promise<string>} Export code
+     */
+    async function exportCompressed(state, options = {}) {
+        const code = encodeState(state, options);
+        return options.passphrase ? encryptCode(code, options.passphrase) : code;
+    }
 
-                const itemId = item[config.data.idField];
-                let value = 0; // not rated
-                if (seenSet.has(itemId)) value = 1; // seen
-                else if (notSeenSet.has(itemId)) value = 2; // not seen
+    /**
+     * Encode progress as a compressed string
+     * v3 stores stable item IDs (not list positions) plus a dataset fingerprint,
+     * so codes survive movies being added, removed or re-sorted
+     * @param {Object} state - Current game state
+     * @param {Object} options - See exportCompressed
+     * @returns {string} Compressed export code
+     */
+    function encodeState(state, options) {
+        try {
+            const scores = state.scores || {};
+            const ratedCount = state.seen.length + state.notSeen.length + (state.watchlist || []).length;
 
-                const bitPosition = index * bitsPerItem;
-                const byteIndex = Math.floor(bitPosition / 8);
-                const bitOffset = bitPosition % 8;
+            // One status digit per rated ID: 1 = seen, 2 = not seen, 3 = watchlist
+            const statusById = new Map();
+            state.seen.forEach(id => statusById.set(id, '1'));
+            state.notSeen.forEach(id => statusById.set(id, '2'));
+            (state.watchlist || []).forEach(id => statusById.set(id, '3'));
 
-                bytes[byteIndex] |= (value << bitOffset);
-            });
+            const ids = Array.from(statusById.keys()).sort((a, b) => (a < b ? -1 : a > b ? 1 : 0));
 
-            // Convert to base64 string
-            let binaryString = '';
-            bytes.forEach(byte => {
-                binaryString += String.fromCharCode(byte);
+            // Scores: one base-11 digit per seen ID, in ID order (0 = no score, a = 10)
+            let scoreDigits = '';
+            let statuses = '';
+            ids.forEach(id => {
+                const status = statusById.get(id);
+                statuses += status;
+                if (status === '1') scoreDigits += (scores[id] || 0).toString(11);
             });
-            const base64 = btoa(binaryString);
 
-            // Create export object with version marker
             const exportData = {
-                v: 2,
+                v: 3,
+                f: getFingerprint(),
+                p: getProfileName(),
                 i: state.currentIndex,
-                d: base64
+                d: encodeIds(ids),
+                k: statuses
             };
 
+            // Only include scores when at least one is set
+            if (/[^0]/.test(scoreDigits)) {
+                exportData.r = scoreDigits.replace(/0+$/, '');
+            }
+
+            // Deferred queue as [id, ratings left] pairs
+            if (state.deferred && state.deferred.length > 0) {
+                exportData.q = state.deferred.map(entry => [entry.id, Math.max(0, entry.returnAfter - ratedCount)]);
+            }
+
+            // Activity log as [seconds since previous entry, id, code] triples
+            if (options.includeActivity && state.activity && state.activity.length > 0) {
+                let previousTime = 0;
+                exportData.a = state.activity.map(([time, id, code]) => {
+                    const entry = [time - previousTime, id, code];
+                    previousTime = time;
+                    return entry;
+                });
+            }
+
+            // Rating counts and a checksum of everything else, so a damaged paste is caught on import
+            exportData.c = [state.seen.length, state.notSeen.length, (state.watchlist || []).length];
+            exportData.h = hashString(JSON.stringify(exportData));
+
             // Compress the JSON
             const json = JSON.stringify(exportData);
             const compressed = LZString.compressToBase64(json);
@@ -239,8 +1418,13 @@ const StorageManager = (function () {
     function exportLegacy(state) {
         const exportData = {
             v: 1,
+            p: getProfileName(),
             s: state.seen,
             n: state.notSeen,
+            w: state.watchlist || [],
+            r: state.scores || {},
+            q: state.deferred || [],
+            a: state.activity || [],
             i: state.currentIndex,
             t: Date.now()
         };
@@ -249,12 +1433,40 @@ const StorageManager = (function () {
 
     /**
      * Import progress from a compressed or legacy string
+     * The result is migrated to the current state version and carries an importInfo
+     * report ({ version, fingerprintMatches, missing, profile, migrationError }) that
+     * callers should remove before saving.
+     * @param {string} code - Export code
+     * @param {Object} [options]
+     * @param {Function} [options.getPassphrase] - Asks for the passphrase of an encrypted code;
+     *     called with { retry } and resolves to the passphrase, or null to cancel
+     * @returns {Promise<Object>} { imported, error } - imported is the state, or null with an
+     *     error message saying what is wrong with the code (none if cancelled)
+     */
+    async function importCompressed(code, options = {}) {
+        if (isEncrypted(code) && (!isEncryptionSupported() || !options.getPassphrase)) {
+            return { imported: null, error: 'This code is passphrase-protected. Open the app over HTTPS to import it.' };
+        }
+        const plain = isEncrypted(code) ? await decryptWithPrompt(code, options.getPassphrase) : code;
+        if (!plain) return { imported: null, error: null };
+
+        const { imported: decoded, error } = decodeCode(plain);
+        if (!decoded) return { imported: null, error };
+
+        const { importInfo, ...imported } = decoded;
+        const { state, report } = migrateState(imported);
+        return { imported: { ...state, importInfo: { ...importInfo, migrationError: report.error } }, error: null };
+    }
+
+    /**
+     * Decode a compressed or legacy export code
      * @param {string} code - Export code
-     * @returns {Object|null} Imported state or null if invalid
+     * @returns {Object} { imported, error } - Decoded state with importInfo, or null with an error message
      */
-    function importCompressed(code) {
+    function decodeCode(code) {
+        const fail = error => ({ imported: null, error });
         try {
-            // Try v2 format first (LZ-String compressed)
+            // Try v2/v3 format first (LZ-String compressed)
             let data;
             try {
                 const decompressed = LZString.decompressFromBase64(code);
@@ -262,7 +1474,7 @@ const StorageManager = (function () {
                     data = JSON.parse(decompressed);
                 }
             } catch (e) {
-                // Not v2 format, try legacy
+                // Not v2/v3 format, try legacy
             }
 
             // Try legacy format (plain base64)
@@ -271,30 +1483,188 @@ const StorageManager = (function () {
                     const json = atob(code);
                     data = JSON.parse(json);
                 } catch (e) {
-                    return null;
+                    return fail(UNREADABLE_CODE);
                 }
             }
+            if (!data || typeof data !== 'object') return fail(UNREADABLE_CODE);
+            if (data.v > CODE_VERSION) return fail('This code was made by a newer version of the app. Update the app, then try again.');
 
-            // Handle v2 format (bit array)
-            if (data.v === 2 && data.d) {
-                return decodeBitArray(data);
+            // Codes made before checksums were added have none to check
+            if (data.h !== undefined) {
+                const { h, ...payload } = data;
+                if (h !== hashString(JSON.stringify(payload))) {
+                    return fail("This code is damaged: some characters were lost or changed (its checksum doesn't match). Copy the whole code again. Nothing was imported.");
+                }
             }
 
-            // Handle v1 format (arrays)
-            if (data.v === 1 && Array.isArray(data.s) && Array.isArray(data.n)) {
-                return {
-                    currentIndex: data.i || 0,
-                    seen: data.s,
-                    notSeen: data.n,
-                    history: []
-                };
+            const { imported, error } = decodeData(data);
+            if (imported) {
+                // Name of the profile that made the export, if any
+                imported.importInfo.profile = typeof data.p === 'string' ? data.p : null;
             }
-
-            return null;
+            return { imported, error };
         } catch (error) {
             console.error('Failed to import:', error);
-            return null;
+            return fail(UNREADABLE_CODE);
+        }
+    }
+
+    /**
+     * Describe seen, not seen and watchlist counts with the configured labels
+     * @param {Array<number>} counts - [seen, notSeen, watchlist]
+     * @returns {string}
+     */
+    function describeCounts(counts) {
+        const actions = (typeof ConfigLoader !== 'undefined' && ConfigLoader.isInitialized)
+            ? ConfigLoader.get().actions
+            : {};
+        const label = (action, fallback) => (actions[action] && actions[action].pastTense) || fallback;
+        return `${counts[0]} ${label('positive', 'seen')}, ${counts[1]} ${label('negative', 'not seen')}, ` +
+            `${counts[2]} ${label('watchlist', 'on watchlist')}`;
+    }
+
+    /**
+     * Check a decoded code against the rating counts it was exported with
+     * @param {Object} data - Parsed export code
+     * @param {Object} decoded - Decoded state, before missing items are dropped
+     * @returns {string|null} Error message, or null if the counts match (or the code has none)
+     */
+    function checkCounts(data, decoded) {
+        if (!Array.isArray(data.c)) return null;
+
+        const found = [decoded.seen.length, decoded.notSeen.length, decoded.watchlist.length];
+        if (found.every((count, index) => count === data.c[index])) return null;
+        return `This code is damaged: it should hold ${describeCounts(data.c)}, but only ${describeCounts(found)} ` +
+            'could be read. Copy the whole code again. Nothing was imported.';
+    }
+
+    /**
+     * Turn a parsed export (any version) into a state
+     * @param {Object} data - Parsed export code
+     * @returns {Object} { imported, error } - Decoded state with importInfo, or null with an error message
+     */
+    function decodeData(data) {
+        // Handle v3 format (stable IDs)
+        // IDs are a delta string, or a plain array when they aren't non-negative integers (see encodeIds)
+        if (data.v === 3 && typeof data.k === 'string' && (typeof data.d === 'string' || Array.isArray(data.d))) {
+            const decoded = decodeIdList(data);
+            const error = checkCounts(data, decoded);
+            if (error) return { imported: null, error };
+            return { imported: dropMissingItems(decoded, 3, data.f === getFingerprint()), error: null };
+        }
+
+        // Handle v2 format (bit array, by list position - can't detect a changed list)
+        if (data.v === 2 && data.d) {
+            const imported = decodeBitArray(data);
+            if (!imported) return { imported: null, error: UNREADABLE_CODE };
+            const error = checkCounts(data, imported);
+            if (error) return { imported: null, error };
+            imported.importInfo = { version: 2, fingerprintMatches: null, missing: 0 };
+            return { imported, error: null };
+        }
+
+        // Handle v1 format (arrays)
+        if (data.v === 1 && Array.isArray(data.s) && Array.isArray(data.n)) {
+            const imported = dropMissingItems({
+                currentIndex: data.i || 0,
+                seen: data.s,
+                notSeen: data.n,
+                watchlist: Array.isArray(data.w) ? data.w : [],
+                scores: (data.r && typeof data.r === 'object') ? data.r : {},
+                deferred: Array.isArray(data.q) ? data.q : [],
+                ...(Array.isArray(data.a) ? { activity: data.a } : {}),
+                history: []
+            }, 1, null);
+            return { imported, error: null };
+        }
+
+        return { imported: null, error: UNREADABLE_CODE };
+    }
+
+    /**
+     * Decode a v3 ID list back to seen/notSeen arrays
+     * @param {Object} data - Parsed v3 export
+     * @returns {Object} Imported state
+     */
+    function decodeIdList(data) {
+        const ids = decodeIds(data.d);
+        const seen = [];
+        const notSeen = [];
+        const watchlist = [];
+        const scores = {};
+        const scoreDigits = typeof data.r === 'string' ? data.r : '';
+        let scoreCursor = 0;
+
+        ids.forEach((id, index) => {
+            const status = data.k.charAt(index);
+            if (status === '1') {
+                seen.push(id);
+                const score = parseInt(scoreDigits.charAt(scoreCursor++) || '0', 11);
+                if (score >= 1 && score <= 10) scores[id] = score;
+            }
+            else if (status === '2') notSeen.push(id);
+            else if (status === '3') watchlist.push(id);
+        });
+
+        // Rebuild the deferred queue relative to the imported rating count
+        const ratedCount = seen.length + notSeen.length + watchlist.length;
+        const deferred = (Array.isArray(data.q) ? data.q : [])
+            .map(([id, remaining]) => ({ id, returnAfter: ratedCount + (remaining || 0) }));
+
+        const imported = {
+            currentIndex: data.i || 0,
+            seen,
+            notSeen,
+            watchlist,
+            scores,
+            deferred,
+            history: []
+        };
+
+        // Activity log (full exports only): undo the time deltas
+        if (Array.isArray(data.a)) {
+            let time = 0;
+            imported.activity = data.a.map(([delta, id, code]) => {
+                time += delta;
+                return [time, id, code];
+            });
+        }
+
+        return imported;
+    }
+
+    /**
+     * Remove items that are no longer in the item list and attach an import report
+     * @param {Object} imported - Imported state (ID based)
+     * @param {number|string} version - Export code version, or 'file' for a backup file
+     * @param {boolean|null} fingerprintMatches - Whether the code was made from the same item list
+     * @returns {Object} The imported state with an importInfo report
+     */
+    function dropMissingItems(imported, version, fingerprintMatches) {
+        const items = getItems();
+        const idField = getIdField();
+        const known = new Set(items.map(item => item[idField]));
+        const missing = new Set();
+        const keep = id => {
+            if (known.has(id)) return true;
+            missing.add(id);
+            return false;
+        };
+
+        // Without a loaded item list there is nothing to check against
+        if (items.length > 0) {
+            imported.seen = imported.seen.filter(keep);
+            imported.notSeen = imported.notSeen.filter(keep);
+            imported.watchlist = imported.watchlist.filter(keep);
+            imported.deferred = imported.deferred.filter(entry => known.has(entry.id));
+            const seenKeys = new Set(imported.seen.map(String));
+            Object.keys(imported.scores).forEach(id => {
+                if (!seenKeys.has(id)) delete imported.scores[id];
+            });
         }
+
+        imported.importInfo = { version, fingerprintMatches, missing: missing.size };
+        return imported;
     }
 
     /**
@@ -313,15 +1683,13 @@ const StorageManager = (function () {
 
             const seen = [];
             const notSeen = [];
+            const watchlist = [];
+            const scores = {};
+            const scoreDigits = typeof data.r === 'string' ? data.r : '';
+            let scoreCursor = 0;
 
-            // Get items from ItemManager if available, otherwise fallback to MOVIES
-            const items = (typeof ItemManager !== 'undefined' && ItemManager.isInitialized)
-                ? ItemManager.getAll()
-                : (typeof MOVIES !== 'undefined' ? MOVIES : []);
-
-            const config = (typeof ConfigLoader !== 'undefined' && ConfigLoader.isInitialized)
-                ? ConfigLoader.get()
-                : { data: { idField: 'id' } };
+            const items = getItems();
+            const idField = getIdField();
 
             items.forEach((item, index) => {
                 if (index >= totalCount) return;
@@ -332,50 +1700,308 @@ const StorageManager = (function () {
 
                 const value = (bytes[byteIndex] >> bitOffset) & 0b11;
 
-                const itemId = item[config.data.idField];
-                if (value === 1) seen.push(itemId);
+                const itemId = item[idField];
+                if (value === 1) {
+                    seen.push(itemId);
+                    const score = parseInt(scoreDigits.charAt(scoreCursor++) || '0', 11);
+                    if (score >= 1 && score <= 10) scores[itemId] = score;
+                }
                 else if (value === 2) notSeen.push(itemId);
+                else if (value === 3) watchlist.push(itemId);
             });
 
-            return {
+            // Rebuild the deferred queue relative to the imported rating count
+            const ratedCount = seen.length + notSeen.length + watchlist.length;
+            const deferred = (Array.isArray(data.q) ? data.q : [])
+                .filter(([index]) => index >= 0 && index < items.length)
+                .map(([index, remaining]) => ({
+                    id: items[index][idField],
+                    returnAfter: ratedCount + (remaining || 0)
+                }));
+
+            const imported = {
                 currentIndex: data.i || 0,
                 seen,
                 notSeen,
+                watchlist,
+                scores,
+                deferred,
                 history: []
             };
+
+            // Activity log (full exports only): undo the time deltas
+            if (Array.isArray(data.a)) {
+                let time = 0;
+                imported.activity = data.a
+                    .map(([delta, index, code]) => {
+                        time += delta;
+                        return [time, index, code];
+                    })
+                    .filter(([, index]) => index >= 0 && index < items.length)
+                    .map(([entryTime, index, code]) => [entryTime, items[index][idField], code]);
+            }
+
+            return imported;
         } catch (error) {
             console.error('Failed to decode bit array:', error);
             return null;
         }
     }
 
+    // ===== MERGING =====
+
+    const MERGE_STRATEGIES = ['replace', 'union', 'newest'];
+    // Activity log codes for each rating (see SlidingWindow.ACTIVITY_CODES)
+    const RATING_CODES = { seen: 's', notSeen: 'n', watchlist: 'w' };
+
+    /**
+     * Map each rated ID to its rating
+     * @param {Object} state
+     * @returns {Map} id -> 'seen' | 'notSeen' | 'watchlist'
+     */
+    function getRatingMap(state) {
+        const ratings = new Map();
+        (state.seen || []).forEach(id => ratings.set(id, 'seen'));
+        (state.notSeen || []).forEach(id => ratings.set(id, 'notSeen'));
+        (state.watchlist || []).forEach(id => ratings.set(id, 'watchlist'));
+        return ratings;
+    }
+
+    /**
+     * Find when each current rating was made, from the activity log
+     * @param {Object} state
+     * @param {Map} ratings - From getRatingMap
+     * @returns {Map} id -> time in seconds (only for ratings the log explains)
+     */
+    function getRatingTimes(state, ratings) {
+        const latest = new Map();
+        (state.activity || []).forEach(([time, id, code]) => latest.set(id, { time, code }));
+
+        const times = new Map();
+        latest.forEach(({ time, code }, id) => {
+            if (ratings.has(id) && RATING_CODES[ratings.get(id)] === code) {
+                times.set(id, time);
+            }
+        });
+        return times;
+    }
+
+    /**
+     * Combine two activity logs in time order, dropping duplicate entries
+     * @param {Array} first
+     * @param {Array} second
+     * @returns {Array}
+     */
+    function mergeActivity(first, second) {
+        const keys = new Set();
+        return [...first, ...second]
+            .filter(entry => {
+                const key = entry.join('|');
+                if (keys.has(key)) return false;
+                keys.add(key);
+                return true;
+            })
+            .sort((a, b) => a[0] - b[0]);
+    }
+
+    /**
+     * Merge imported progress into local progress
+     * - replace: use the imported ratings only
+     * - union: keep ratings from both sides
+     * - newest: like union, but a disagreement goes to the most recent rating
+     * Disagreements that the strategy can't settle are returned as conflicts and
+     * decided by resolutions (this device's rating wins by default).
+     * Deck order and era filter always stay as they are on this device.
+     * @param {Object} local - This device's state
+     * @param {Object} incoming - Imported state
+     * @param {string} strategy - One of MERGE_STRATEGIES
+     * @param {Object} [resolutions] - id -> 'local' | 'incoming'
+     * @returns {Object} { state, conflicts: [{ id, local, incoming }] }
+     */
+    function mergeStates(local, incoming, strategy, resolutions = {}) {
+        const preferences = {
+            order: local.order || defaultState.order,
+            eraFilter: local.eraFilter || []
+        };
+
+        if (strategy === 'replace') {
+            return {
+                state: {
+                    ...defaultState,
+                    ...incoming,
+                    ...preferences,
+                    eraPositions: {},
+                    // Compact codes carry no activity log, so keep this device's
+                    activity: incoming.activity && incoming.activity.length > 0
+                        ? incoming.activity
+                        : local.activity || [],
+                    history: []
+                },
+                conflicts: []
+            };
+        }
+
+        const localRatings = getRatingMap(local);
+        const incomingRatings = getRatingMap(incoming);
+        const localTimes = strategy === 'newest' ? getRatingTimes(local, localRatings) : new Map();
+        const incomingTimes = strategy === 'newest' ? getRatingTimes(incoming, incomingRatings) : new Map();
+
+        const merged = new Map(localRatings);
+        const fromIncoming = new Set();
+        const conflicts = [];
+        const useIncoming = (id, rating) => {
+            merged.set(id, rating);
+            fromIncoming.add(id);
+        };
+
+        incomingRatings.forEach((rating, id) => {
+            const localRating = localRatings.get(id);
+            if (!localRating) {
+                useIncoming(id, rating);
+                return;
+            }
+            if (localRating === rating) return;
+
+            const localTime = localTimes.get(id);
+            const incomingTime = incomingTimes.get(id);
+            if (localTime !== undefined && incomingTime !== undefined && localTime !== incomingTime) {
+                if (incomingTime > localTime) useIncoming(id, rating);
+                return;
+            }
+
+            conflicts.push({ id, local: localRating, incoming: rating });
+            if (resolutions[id] === 'incoming') useIncoming(id, rating);
+        });
+
+        const seen = [];
+        const notSeen = [];
+        const watchlist = [];
+        const scores = {};
+        const localScores = local.scores || {};
+        const incomingScores = incoming.scores || {};
+        merged.forEach((rating, id) => {
+            if (rating === 'seen') {
+                seen.push(id);
+                // The winning side's score first, the other side's if it has none
+                const score = fromIncoming.has(id)
+                    ? incomingScores[id] || localScores[id]
+                    : localScores[id] || incomingScores[id];
+                if (score) scores[id] = score;
+            } else if (rating === 'notSeen') {
+                notSeen.push(id);
+            } else {
+                watchlist.push(id);
+            }
+        });
+
+        // Deferred items stay deferred unless the other side rated them
+        const deferredIds = new Set();
+        const deferred = [...(local.deferred || []), ...(incoming.deferred || [])].filter(entry => {
+            if (merged.has(entry.id) || deferredIds.has(entry.id)) return false;
+            deferredIds.add(entry.id);
+            return true;
+        });
+
+        return {
+            state: {
+                ...defaultState,
+                ...local,
+                ...preferences,
+                seen,
+                notSeen,
+                watchlist,
+                scores,
+                deferred,
+                activity: mergeActivity(local.activity || [], incoming.activity || []),
+                history: []
+            },
+            conflicts
+        };
+    }
+
+    /**
+     * Compare the ratings in two states
+     * @param {Object} before
+     * @param {Object} after
+     * @returns {Object} { added: [id], changed: [{ id, from, to }], removed: [id] }
+     */
+    function diffStates(before, after) {
+        const beforeRatings = getRatingMap(before);
+        const afterRatings = getRatingMap(after);
+        const diff = { added: [], changed: [], removed: [] };
+
+        afterRatings.forEach((rating, id) => {
+            const previous = beforeRatings.get(id);
+            if (!previous) diff.added.push(id);
+            else if (previous !== rating) diff.changed.push({ id, from: previous, to: rating });
+        });
+        beforeRatings.forEach((rating, id) => {
+            if (!afterRatings.has(id)) diff.removed.push(id);
+        });
+
+        return diff;
+    }
+
     /**
      * Generate shareable URL with embedded progress
      * @param {Object} state - Current game state
-     * @returns {string} Full URL with progress parameter
+     * @param {Object} [options]
+     * @param {string} [options.passphrase] - Encrypt the progress with this passphrase
+     * @returns {Promise<string>} Full URL with progress parameter
      */
-    function generateShareURL(state) {
-        const code = exportCompressed(state);
+    async function generateShareURL(state, options = {}) {
+        const code = await exportCompressed(state, { passphrase: options.passphrase });
         const baseURL = window.location.origin + window.location.pathname;
         return `${baseURL}?p=${encodeURIComponent(code)}`;
     }
 
+    /**
+     * Get the export code out of a share link, or the text itself if it isn't one
+     * @param {string} text - Share link or export code
+     * @returns {string}
+     */
+    function extractCode(text) {
+        const value = String(text || '').trim();
+        const link = value.match(/[?&]p=([^&#\s]+)/);
+        if (!link) return value;
+        try {
+            return decodeURIComponent(link[1]);
+        } catch (error) {
+            return value;
+        }
+    }
+
     /**
      * Check URL for progress parameter and import if found
-     * @returns {Object|null} Imported state or null
+     * A part link (?part=) is collected; progress is imported once every part is in.
+     * @param {Object} [options] - See importCompressed, plus:
+     * @param {Function} [options.onPart] - Called with addCodePart's result for a part link
+     * @returns {Promise<Object|null>} { imported, error } as from importCompressed, or null if
+     *     the URL has no progress (or only part of it)
      */
-    function checkURLForProgress() {
+    async function checkURLForProgress(options = {}) {
         const urlParams = new URLSearchParams(window.location.search);
         const progressCode = urlParams.get('p');
+        const partCode = urlParams.get('part');
+
+        if (partCode) {
+            window.history.replaceState({}, '', window.location.origin + window.location.pathname);
+            const part = parseCodePart(partCode);
+            if (!part) return { imported: null, error: UNREADABLE_CODE };
+
+            const progress = addCodePart(part);
+            if (options.onPart) options.onPart(progress);
+            return progress.code ? importCompressed(progress.code, options) : null;
+        }
 
         if (progressCode) {
-            const imported = importCompressed(decodeURIComponent(progressCode));
-            if (imported) {
+            const result = await importCompressed(decodeURIComponent(progressCode), options);
+            if (result.imported) {
                 // Clean up URL
                 const cleanURL = window.location.origin + window.location.pathname;
                 window.history.replaceState({}, '', cleanURL);
-                return imported;
             }
+            return result;
         }
         return null;
     }
@@ -387,7 +2013,11 @@ const StorageManager = (function () {
 
     // Public API
     return {
-        init: initStorage,
+        init,
+        close,
+        flush,
+        setReadOnly,
+        deleteStorage,
         load,
         save,
         saveImmediate,
@@ -395,9 +2025,26 @@ const StorageManager = (function () {
         getStats,
         exportCompressed,
         importCompressed,
+        isEncrypted,
+        isEncryptionSupported,
+        mergeStates,
+        diffStates,
+        MERGE_STRATEGIES,
         generateShareURL,
+        splitShareURL,
+        extractCode,
+        createBackupFile,
+        readBackupFile,
+        parseCodePart,
+        addCodePart,
         checkURLForProgress,
-        get STORAGE_KEY() { return STORAGE_KEY; }
+        getMigrationReport,
+        createRestorePoint,
+        listRestorePoints,
+        getRestorePoint,
+        STATE_VERSION,
+        get STORAGE_KEY() { return STORAGE_KEY; },
+        get backend() { return db ? 'indexedDB' : 'localStorage'; }
     };
 })();
 
@@ -0,0 +1,340 @@
+/**
+ * Tab Sync - One writer per profile across browser tabs
+ * The Web Locks API elects the tab that saves progress. Other tabs are
+ * read-only and follow the writer's state over a BroadcastChannel.
+ * Without Web Locks a lease in localStorage elects the writer, and without
+ * BroadcastChannel messages travel as localStorage `storage` events. Only
+ * without localStorage as well does every tab save, as before.
+ */
+
+const TabSync = (function () {
+    'use strict';
+
+    // A lease not renewed for this long belongs to a closed tab
+    const LEASE_MS = 6000;
+    const LEASE_RENEW_MS = 2000;
+
+    const tabId = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+
+    let channel = null;
+    let lockName = null;
+    let abortController = null;
+    let releaseLock = null;   // Resolves the promise that holds the lock
+    let leaseKey = null;      // localStorage lease (without Web Locks)
+    let leaseTimer = null;
+    let handingOver = false;  // Finishing saves before passing the lease to another tab
+    let messageKey = null;    // localStorage message key (without BroadcastChannel)
+    let isWriter = true;
+    let callbacks = {};
+
+    /**
+     * Check whether localStorage can be written
+     * @returns {boolean}
+     */
+    function hasLocalStorage() {
+        try {
+            const probe = `__tabsync_${tabId}`;
+            localStorage.setItem(probe, '1');
+            localStorage.removeItem(probe);
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * Check browser support
+     * @returns {boolean}
+     */
+    function isSupported() {
+        const hasLocks = typeof navigator !== 'undefined' && !!navigator.locks;
+        return (hasLocks && typeof BroadcastChannel !== 'undefined') || hasLocalStorage();
+    }
+
+    /**
+     * Join the tabs sharing a storage key and find out whether this tab writes
+     * @param {string} key - Storage key of the active profile
+     * @param {Object} handlers
+     * @param {Function} handlers.onRoleChange - Called with true/false when this tab becomes writer/reader
+     * @param {Function} handlers.onState - Called with the writer's state (reader only)
+     * @param {Function} handlers.getState - Returns this tab's state for a tab that just opened,
+     *     or null while it has none yet (writer only)
+     * @param {Function} [handlers.onYield] - Returns a promise once pending saves are written, before handing over
+     * @returns {Promise<boolean>} Whether this tab is the writer
+     */
+    function start(key, handlers) {
+        stop();
+        callbacks = handlers;
+
+        if (!isSupported()) {
+            return Promise.resolve(true);
+        }
+
+        if (typeof BroadcastChannel !== 'undefined') {
+            channel = new BroadcastChannel(`${key}_tabs`);
+            channel.onmessage = handleMessage;
+        } else {
+            messageKey = `${key}_tabs`;
+        }
+        window.addEventListener('storage', handleStorage);
+
+        if (!navigator.locks) {
+            return Promise.resolve(startLease(key));
+        }
+
+        lockName = `${key}_writer`;
+        abortController = new AbortController();
+
+        return new Promise(resolve => {
+            navigator.locks.request(lockName, { ifAvailable: true }, lock => {
+                if (lock) {
+                    resolve(true);
+                    return holdLock();
+                }
+                becomeReader();
+                resolve(false);
+                waitForLock();
+                return null;
+            }).catch(ignoreAbort);
+        });
+    }
+
+    /**
+     * Queue for the lock; granted when the writer closes or hands over
+     */
+    function waitForLock() {
+        navigator.locks.request(lockName, { signal: abortController.signal }, holdLock)
+            .catch(ignoreAbort);
+    }
+
+    /**
+     * Become the writer and keep the lock until released
+     * @returns {Promise<void>}
+     */
+    function holdLock() {
+        setRole(true);
+        return new Promise(release => {
+            releaseLock = release;
+        });
+    }
+
+    /**
+     * Become read-only and catch up with the writer's latest (possibly unsaved) state
+     */
+    function becomeReader() {
+        setRole(false);
+        send({ type: 'sync-request' });
+    }
+
+    // ===== LEASE (without Web Locks) =====
+
+    /**
+     * @returns {Object|null} { tab, until } of the current lease
+     */
+    function readLease() {
+        try {
+            return JSON.parse(localStorage.getItem(leaseKey));
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Take or renew the lease for a tab
+     * @param {string} tab
+     */
+    function writeLease(tab) {
+        try {
+            localStorage.setItem(leaseKey, JSON.stringify({ tab, until: Date.now() + LEASE_MS }));
+        } catch (error) {
+            console.error('Tab lease failed:', error);
+        }
+    }
+
+    /**
+     * Elect the writer with a lease that the writer keeps renewing
+     * @param {string} key - Storage key of the active profile
+     * @returns {boolean} Whether this tab is the writer
+     */
+    function startLease(key) {
+        leaseKey = `${key}_writer`;
+        leaseTimer = setInterval(checkLease, LEASE_RENEW_MS);
+        window.addEventListener('pagehide', releaseLease);
+
+        checkLease();
+        if (!isWriter) becomeReader();
+        return isWriter;
+    }
+
+    /**
+     * Renew this tab's lease, or take it over if it was handed here or has run out
+     */
+    function checkLease() {
+        if (handingOver) return;
+
+        const lease = readLease();
+        const ours = lease && lease.tab === tabId;
+        if (ours || !lease || lease.until < Date.now()) {
+            writeLease(tabId);
+            setRole(true);
+        } else if (isWriter) {
+            // Another tab holds the lease (a takeover)
+            setRole(false);
+        }
+    }
+
+    /**
+     * Give up the lease when the tab closes so a reader takes over at once
+     */
+    function releaseLease() {
+        const lease = readLease();
+        if (lease && lease.tab === tabId) localStorage.removeItem(leaseKey);
+    }
+
+    // ===== MESSAGES =====
+
+    /**
+     * Send a message to the other tabs on this profile
+     * @param {Object} message
+     */
+    function send(message) {
+        if (channel) {
+            channel.postMessage(message);
+            return;
+        }
+        if (!messageKey) return;
+
+        // Setting then removing the key fires a storage event in every other tab
+        try {
+            localStorage.setItem(messageKey, JSON.stringify({ ...message, from: tabId, at: Date.now() }));
+            localStorage.removeItem(messageKey);
+        } catch (error) {
+            console.error('Tab message failed:', error);
+        }
+    }
+
+    /**
+     * Handle a localStorage change from another tab (lease changes and messages)
+     * @param {StorageEvent} event
+     */
+    function handleStorage(event) {
+        if (leaseKey && event.key === leaseKey) {
+            checkLease();
+        } else if (messageKey && event.key === messageKey && event.newValue) {
+            try {
+                handleMessage({ data: JSON.parse(event.newValue) });
+            } catch (error) {
+                console.error('Unreadable tab message:', error);
+            }
+        }
+    }
+
+    /**
+     * Handle a message from another tab
+     * @param {MessageEvent} event
+     */
+    async function handleMessage(event) {
+        const message = event.data || {};
+
+        if (message.type === 'state' && !isWriter) {
+            // Ignore states without ratings (a writer that hadn't started)
+            if (message.state && Array.isArray(message.state.seen)) callbacks.onState(message.state);
+        } else if (message.type === 'sync-request' && isWriter) {
+            // A writer that is still starting answers by publishing once its deck is ready
+            const state = callbacks.getState();
+            if (state) send({ type: 'state', state });
+        } else if (message.type === 'takeover' && isWriter && (releaseLock || leaseKey)) {
+            // Stop saving, finish pending writes, then pass the lock on
+            setRole(false);
+            handingOver = true;
+            if (callbacks.onYield) await callbacks.onYield();
+            handingOver = false;
+            if (leaseKey) {
+                writeLease(message.from);
+                return;
+            }
+            const release = releaseLock;
+            releaseLock = null;
+            release();
+            waitForLock();
+        }
+    }
+
+    /**
+     * Ignore the rejection from an aborted lock request
+     * @param {Error} error
+     */
+    function ignoreAbort(error) {
+        if (error && error.name !== 'AbortError') {
+            console.error('Tab lock failed:', error);
+        }
+    }
+
+    /**
+     * Record this tab's role and tell the app when it changes
+     * @param {boolean} writer
+     */
+    function setRole(writer) {
+        if (writer === isWriter) return;
+        isWriter = writer;
+        callbacks.onRoleChange(writer);
+    }
+
+    /**
+     * Leave the current group of tabs (before switching profile)
+     */
+    function stop() {
+        if (abortController) abortController.abort();
+        if (releaseLock) releaseLock();
+        if (channel) channel.close();
+        if (leaseKey) {
+            clearInterval(leaseTimer);
+            releaseLease();
+            window.removeEventListener('pagehide', releaseLease);
+        }
+        window.removeEventListener('storage', handleStorage);
+        abortController = null;
+        releaseLock = null;
+        channel = null;
+        lockName = null;
+        leaseKey = null;
+        leaseTimer = null;
+        handingOver = false;
+        messageKey = null;
+        isWriter = true;
+    }
+
+    /**
+     * Send this tab's state to read-only tabs (writer only)
+     * @param {Object} state
+     */
+    function publish(state) {
+        if (isWriter) {
+            send({ type: 'state', state });
+        }
+    }
+
+    /**
+     * Ask the writer tab to hand over to this one
+     */
+    function requestTakeover() {
+        if (!isWriter) {
+            send({ type: 'takeover', from: tabId });
+        }
+    }
+
+    // Public API
+    return {
+        start,
+        stop,
+        publish,
+        requestTakeover,
+        isSupported,
+        get isWriter() { return isWriter; }
+    };
+})();
+
+// Export for ES modules if available
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TabSync;
+}
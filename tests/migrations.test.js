@@ -0,0 +1,133 @@
+/**
+ * Schema migration tests
+ * Runs StorageManager in a sandbox with an in-memory localStorage (no IndexedDB),
+ * so init() takes the same migrate → back up → save path as the browser fallback.
+ *
+ * Run with: node --test tests/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const STORAGE_SOURCE = fs.readFileSync(path.join(__dirname, '..', 'js', 'storage.js'), 'utf8');
+const KEY = 'movie_challenge_progress';
+
+/**
+ * Load a fresh StorageManager over the given localStorage contents
+ * @param {Object} entries - Key -> value (objects are stored as JSON)
+ * @returns {Object} { StorageManager, store }
+ */
+function loadStorage(entries) {
+    const store = new Map(Object.entries(entries).map(([key, value]) => [key, JSON.stringify(value)]));
+    const context = {
+        console: { ...console, warn() {}, error() {} },
+        localStorage: {
+            getItem: key => (store.has(key) ? store.get(key) : null),
+            setItem: (key, value) => store.set(key, String(value)),
+            removeItem: key => store.delete(key)
+        },
+        window: { addEventListener() {}, location: { search: '', href: '' } }
+    };
+    vm.createContext(context);
+    vm.runInContext(`${STORAGE_SOURCE}\nthis.StorageManager = StorageManager;`, context);
+    return { StorageManager: context.StorageManager, store };
+}
+
+const readJSON = (store, key) => JSON.parse(store.get(key));
+
+test('a v1 state is upgraded through every step and saved', async () => {
+    const v1 = {
+        currentIndex: 12,
+        seen: [1, 2],
+        notSeen: [3],
+        history: [{ id: 2, action: 'seen' }, { id: 3, action: 'notSeen' }, { id: 4, action: 'defer' }, null]
+    };
+    const { StorageManager, store } = loadStorage({ [KEY]: v1 });
+
+    await StorageManager.init();
+
+    const report = StorageManager.getMigrationReport();
+    assert.equal(report.error, null);
+    assert.equal(report.from, 1);
+    assert.equal(report.to, StorageManager.STATE_VERSION);
+    assert.deepEqual(Array.from(report.applied), [2, 3]);
+
+    const saved = readJSON(store, KEY);
+    assert.equal(saved.version, StorageManager.STATE_VERSION);
+    assert.deepEqual(saved.seen, [1, 2]);
+    assert.equal(saved.currentIndex, 12);
+    assert.deepEqual(saved.watchlist, []);
+    assert.deepEqual(saved.scores, {});
+    assert.deepEqual(saved.order, { mode: 'chronological', seed: null });
+    assert.deepEqual(saved.history, [
+        { id: 2, action: 'seen', streak: 0 },
+        { id: 3, action: 'notSeen', streak: 0 },
+        { id: 4, action: 'defer' }
+    ]);
+});
+
+test('the original state is backed up before the upgrade is saved', async () => {
+    const v1 = { seen: [5], notSeen: [] };
+    const { StorageManager, store } = loadStorage({ [KEY]: v1 });
+
+    await StorageManager.init();
+
+    const backupKey = `${KEY}_backup_pre-migration-v1`;
+    assert.equal(StorageManager.getMigrationReport().backup, `localStorage:${backupKey}`);
+    assert.deepEqual(readJSON(store, backupKey).state, v1);
+});
+
+test('v2 history entries keep their streaks', async () => {
+    const v2 = {
+        version: 2,
+        seen: [1],
+        notSeen: [],
+        history: [{ id: 1, action: 'seen', streak: 4 }, { id: 9, action: 'watchlist' }]
+    };
+    const { StorageManager, store } = loadStorage({ [KEY]: v2 });
+
+    await StorageManager.init();
+
+    assert.deepEqual(Array.from(StorageManager.getMigrationReport().applied), [3]);
+    assert.deepEqual(readJSON(store, KEY).history, [
+        { id: 1, action: 'seen', streak: 4 },
+        { id: 9, action: 'watchlist', streak: 0 }
+    ]);
+});
+
+test('a current state is left alone', async () => {
+    const { StorageManager: probe } = loadStorage({});
+    const current = { seen: [1], notSeen: [], history: [], version: probe.STATE_VERSION };
+    const { StorageManager, store } = loadStorage({ [KEY]: current });
+
+    await StorageManager.init();
+
+    assert.equal(StorageManager.getMigrationReport(), null);
+    assert.deepEqual(readJSON(store, KEY), current);
+    assert.equal([...store.keys()].some(key => key.includes('_backup_')), false);
+});
+
+test('a state from a newer version is reported and not touched', async () => {
+    const newer = { seen: [1], notSeen: [], version: 99 };
+    const { StorageManager, store } = loadStorage({ [KEY]: newer });
+
+    await StorageManager.init();
+
+    assert.match(StorageManager.getMigrationReport().error, /newer version/);
+    assert.deepEqual(readJSON(store, KEY), newer);
+});
+
+test('a read-only tab upgrades for the session without writing', async () => {
+    const v1 = { seen: [1], notSeen: [] };
+    const { StorageManager, store } = loadStorage({ [KEY]: v1 });
+
+    StorageManager.setReadOnly(true);
+    await StorageManager.init();
+
+    assert.deepEqual(Array.from(StorageManager.getMigrationReport().applied), [2, 3]);
+    assert.deepEqual(readJSON(store, KEY), v1);
+    assert.equal(store.size, 1);
+});